@@ -3,7 +3,10 @@ import fitz  # PyMuPDF
 import os
 import json
 
-def convert_pdf_with_pymupdf(pdf_file_path, output_dir):
+# Exit status when the PDF has more pages than allowed; nothing is rendered then.
+TOO_MANY_PAGES = 3
+
+def convert_pdf_with_pymupdf(pdf_file_path, output_dir, zoom_factor=2.0, max_pixels=None, max_pages=None):
     if not os.path.exists(pdf_file_path):
         print(json.dumps({"error": f"File not found: {pdf_file_path}"}))
         sys.exit(1)
@@ -13,12 +16,18 @@ def convert_pdf_with_pymupdf(pdf_file_path, output_dir):
 
     try:
         doc = fitz.open(pdf_file_path)
-        zoom_factor = 2.0
-        matrix = fitz.Matrix(zoom_factor, zoom_factor)
+        if max_pages is not None and len(doc) > max_pages:
+            print(json.dumps({"error": f"The PDF has {len(doc)} pages; at most {max_pages} are allowed.", "pageCount": len(doc)}))
+            doc.close()
+            sys.exit(TOO_MANY_PAGES)
 
         for page_num in range(len(doc)):
             page = doc.load_page(page_num)
-            pix = page.get_pixmap(matrix=matrix, alpha=False)
+            # Large pages (posters, scans at odd sizes) are rendered no bigger than max_pixels.
+            zoom = zoom_factor
+            if max_pixels:
+                zoom = min(zoom, max_pixels / max(page.rect.width, page.rect.height))
+            pix = page.get_pixmap(matrix=fitz.Matrix(zoom, zoom), alpha=False)
             image_filename = os.path.join(output_dir, f"page_{page_num+1}.jpg")
             pix.save(image_filename)
             page_paths.append(image_filename)
@@ -31,9 +40,12 @@ def convert_pdf_with_pymupdf(pdf_file_path, output_dir):
 
 if __name__ == "__main__":
     if len(sys.argv) < 3:
-        print(json.dumps({"error": "Usage: python convert_pdf_pymupdf.py <pdf_path> <output_dir>"}))
+        print(json.dumps({"error": "Usage: python convert_pdf_pymupdf.py <pdf_path> <output_dir> [zoom] [max_pixels] [max_pages]"}))
         sys.exit(1)
 
     pdf_path = sys.argv[1]
     output_dir = sys.argv[2]
-    convert_pdf_with_pymupdf(pdf_path, output_dir)
+    zoom_factor = float(sys.argv[3]) if len(sys.argv) > 3 else 2.0
+    max_pixels = int(sys.argv[4]) if len(sys.argv) > 4 else None
+    max_pages = int(sys.argv[5]) if len(sys.argv) > 5 else None
+    convert_pdf_with_pymupdf(pdf_path, output_dir, zoom_factor, max_pixels, max_pages)
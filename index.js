@@ -4,319 +4,123 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const fs = require('fs');
 const path = require('path');
-const PDFDocument = require('pdfkit');
 require('dotenv').config();
-const axios = require('axios');
-const FormData = require("form-data");
+const llm = require("./lib/llm");
+const { addUsage } = llm;
+const { ExportError, normalizeFormat, exportDocument } = require("./lib/export");
+const { openEventStream } = require("./lib/sse");
+const { createSubmission, findSubmissionByPdf } = require("./lib/submissions");
+const { TRUSTED_ORIGINS, requireAuth } = require("./lib/auth");
+const authRouter = require("./routes/auth");
+const submissionsRouter = require("./routes/submissions");
+const rosterRouter = require("./routes/roster");
+const { RosterError, getRecord, resolveGradingContext } = require("./lib/roster");
+const { registerHandler, enqueue, restoreJobs } = require("./lib/jobQueue");
+const jobsRouter = require("./routes/jobs");
+const rubricsRouter = require("./routes/rubrics");
+const { RubricError, getRubric, resolveRubric } = require("./lib/rubrics");
+const standardsRouter = require("./routes/standards");
+const brandingRouter = require("./routes/branding");
+const transcribeRouter = require("./routes/transcribe");
+const analyticsRouter = require("./routes/analytics");
+const { getBranding } = require("./lib/branding");
+const { PageError, normalizePageOrder, loadPages } = require("./lib/pages");
+const { ExtractionError, classifyUploads, extractText, extractDocuments } = require("./lib/extract");
+const { untrustedBlock, assessIntegrity } = require("./lib/integrity");
+const { IntensityError, normalizeIntensity, getProfile, listProfiles } = require("./lib/intensity");
+const { ConsistencyError, normalizeConsistency, gradeConsistently } = require("./lib/consistency");
+const {
+  UPLOAD_DIR,
+  MAX_BATCH_BYTES,
+  acceptUploads,
+  retainUploads,
+  removeFiles,
+  startSweeper,
+} = require("./lib/uploads");
+const {
+  TranscriptionError,
+  getTranscript,
+  assertGradable,
+  linkSubmission,
+  transcriptText,
+  describeTranscript,
+} = require("./lib/transcription");
+const {
+  StandardsError,
+  normalizeSubjectName,
+  loadStandardsCatalog,
+  getStandards,
+  selectStandards,
+  buildStandardsPrompt,
+  buildCoverageMap,
+} = require("./lib/standards");
+const {
+  BatchError,
+  createBatch,
+  getBatch,
+  runBatch,
+  closeBatch,
+  summarizeBatch,
+  buildBatchArchive,
+} = require("./lib/batch");
+const {
+  GradingValidationError,
+  GRADER_SYSTEM_PROMPT,
+  buildGradingPrompt,
+  requestValidGrading,
+  renderGradingMarkdown,
+} = require("./lib/grading");
 
 const app = express();
-const PORT = 5000;
-
-// ---- Fonts setup (add near the top) ----
-const FONTS_DIR = path.join(__dirname, "fonts");
-
-function registerFonts(doc) {
-  try {
-    const regularPath = path.join(FONTS_DIR, "CourierPrime-Regular.ttf");
-    const boldPath = path.join(FONTS_DIR, "CourierPrime-Bold.ttf");
-
-    if (fs.existsSync(regularPath) && fs.existsSync(boldPath)) {
-      doc.registerFont("CourierPrime", regularPath);
-      doc.registerFont("CourierPrime-Bold", boldPath);
-      return { base: "CourierPrime", bold: "CourierPrime-Bold" };
-    } else {
-      console.warn("[fonts] CourierPrime .ttf files not found, using built-ins.");
-      return { base: "Courier", bold: "Courier-Bold" };
-    }
-  } catch (e) {
-    console.warn("[fonts] registerFont failed; falling back to built-ins.", e);
-    return { base: "Courier", bold: "Courier-Bold" };
-  }
-}
-
+const PORT = process.env.PORT || 5000;
 
 app.use(
   cors({
-    origin: [
-      "https://smartassesgrader-wz54.onrender.com",
-      "http://localhost:3000",
-      "http://127.0.0.1:3000"
-    ],
+    origin: TRUSTED_ORIGINS,
     methods: ["GET", "POST", "PUT", "DELETE"],
     credentials: true
   })
 );
 
 app.use(bodyParser.json());
-app.use('/pdfs', express.static(path.join(__dirname, 'pdfs')));
+app.use("/auth", authRouter);
+app.use("/submissions", submissionsRouter);
+app.use(rosterRouter);
+app.use("/jobs", jobsRouter);
+app.use("/rubrics", rubricsRouter);
+app.use("/standards", standardsRouter);
+app.use("/branding", brandingRouter);
+app.use("/transcribe", transcribeRouter);
+app.use("/analytics", analyticsRouter);
 
 const pdfDir = path.join(__dirname, 'pdfs');
 if (!fs.existsSync(pdfDir)) fs.mkdirSync(pdfDir);
 
-const rubricPath = path.join(__dirname, 'structured_cel_rubric.json');
-const rubricData = JSON.parse(fs.readFileSync(rubricPath, 'utf8'));
+// PDFs are only served to the teacher whose submission produced them.
+app.get("/pdfs/:file", requireAuth, async (req, res) => {
+  const submission = await findSubmissionByPdf(req.teacher.id, req.params.file);
+  if (!submission) return res.status(404).json({ error: "Report not found." });
+  res.sendFile(path.join(pdfDir, path.basename(req.params.file)));
+});
 
 const debugLog = (label, data) => {
   console.log(`\n=== ${label} ===`);
   console.dir(data, { depth: null });
 };
 
-function getAllDistinguishedComponents() {
-  const components = [];
-  Object.entries(rubricData).forEach(([criterion, details]) => {
-    Object.entries(details).forEach(([code, { component, distinguished }]) => {
-      components.push({ code, component, distinguished, criterion });
-    });
-  });
-  return components;
-}
-
-function loadStandardsFile(subject, gradeLevel) {
-  const parsed = parseInt(gradeLevel);
-  if (isNaN(parsed)) return null;
-
-  let gradeBand = '';
-  if ([9, 10].includes(parsed)) gradeBand = '9-10';
-  else if ([11, 12].includes(parsed)) gradeBand = '11-12';
-  else if ([1, 2, 3, 4, 5, 6, 7, 8].includes(parsed)) gradeBand = parsed.toString();
-  else return null;
-
-  const fileName = `${subject}(${gradeBand}).json`;
-  const filePath = path.join(__dirname, fileName);
-  console.log(`📂 Attempting to load standards file: ${fileName}`);
-  if (fs.existsSync(filePath)) {
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  }
-
-  return null;
-}
-// Renders text with **bold** spans using continued:true
-function writeRichText(doc, text, fonts, size = 10.5, fill = "#222222", opts = {}) {
-  doc.font(fonts.base).fontSize(size).fillColor(fill);
-
-  // Split on **...** (non-greedy)
-  const parts = text.split(/\*\*(.+?)\*\*/g);
-
-  // Iterate parts: even indexes = normal, odd = bold
-  parts.forEach((part, idx) => {
-    const isBold = idx % 2 === 1;
-    if (isBold) {
-      doc.font(fonts.bold);
-    } else {
-      doc.font(fonts.base);
-    }
-    doc.text(part, { continued: idx !== parts.length - 1, ...opts });
-  });
-
-  // End the continued chain
-  if (parts.length > 0) doc.text("");
-}
-
-function formatSmartAssesReport(doc, content) {
-  const lines = content.split('\n');
-  let insideTable = false;
-  let tableData = [];
-
-  // pick fonts (Courier New if available; else Courier)
-  const fonts = registerFonts(doc);
-
-  // ====== HEADER ======
-  doc
-    .font(fonts.bold)
-    .fontSize(16)
-    .fillColor("#000000")
-    .text("SmartAsses | Grading Report", { align: "center" });
-  doc
-    .font(fonts.base)
-    .fontSize(10)
-    .fillColor("#444444")
-    .text(`Generated: ${new Date().toLocaleString()}`, { align: "center" })
-    .moveDown(0.5);
-  doc.moveTo(50, doc.y).lineTo(550, doc.y).strokeColor("#999999").stroke();
-  doc.moveDown(1);
-
-  // ====== BODY ======
-  lines.forEach((line) => {
-    const trimmed = line.trim();
-    if (!trimmed) { doc.moveDown(0.5); return; }
-    if (trimmed === "---") { doc.moveDown(0.7); return; }
-
-    // Section header line: **Heading**
-    const headerMatch = trimmed.match(/^\*\*(.+?)\*\*$/);
-    if (headerMatch) {
-      if (insideTable && tableData.length) {
-        renderTable(doc, tableData, fonts);
-        insideTable = false;
-        tableData = [];
-      }
-      doc.moveDown(0.8);
-      doc
-        .font(fonts.bold)
-        .fontSize(13)
-        .fillColor("#000000")
-        .text(headerMatch[1])
-        .moveDown(0.3);
-      doc.moveTo(50, doc.y).lineTo(550, doc.y).strokeColor("#cccccc").stroke();
-      doc.moveDown(0.6);
-      return;
-    }
-
-    // Table section
-    if (trimmed.startsWith("Table of Analysis")) {
-      doc.addPage();
-      doc.font(fonts.bold).fontSize(12).fillColor("#000000").text("Table of Analysis").moveDown(0.5);
-      insideTable = true;
-      return;
-    }
-
-    // Inside table
-    if (insideTable) {
-      if (trimmed.startsWith("|")) {
-        const cells = trimmed.split("|").slice(1, -1).map((c) => c.trim());
-        tableData.push(cells);
-      } else {
-        renderTable(doc, tableData, fonts);
-        insideTable = false;
-        tableData = [];
-        doc.moveDown(0.5);
-        writeRichText(doc, trimmed, fonts, 10.5, "#222222", { align: "justify", lineGap: 4 });
-      }
-      return;
-    }
-
-    // Rubric code lines
-    const rubricMatch = trimmed.match(/^(Ø=)?(Y9\s*)?(C\d+\.\d+|P\d+|SE\d+|A\d+|CP\d+|CE\d+)\s*[-:]\s*(.+)/);
-    if (rubricMatch) {
-      const code = rubricMatch[3];
-      const label = rubricMatch[4];
-      doc.moveDown(0.5).font(fonts.bold).fontSize(11.5).fillColor("#000000").text(`${code} — ${label}`);
-      return;
-    }
-
-    // Sub-sections: Explanation/Evidence/Suggestions
-    const subMatch = trimmed.match(/^[-–]?\s*(Explanation|Evidence|Suggestions):\s*(.*)/i);
-    if (subMatch) {
-      doc.font(fonts.bold).fontSize(10.5).fillColor("#000000").text(`${subMatch[1]}: `, { continued: true });
-      // subMatch[2] can also contain **bold** spans
-      writeRichText(doc, subMatch[2], fonts, 10.5, "#333333");
-      return;
-    }
-
-    // Default paragraph (supports inline **bold**)
-    writeRichText(doc, trimmed, fonts, 10.5, "#222222", { align: "justify", lineGap: 4 });
-  });
-
-  if (insideTable && tableData.length) {
-    renderTable(doc, tableData, fonts);
-  }
-
-  // ====== FOOTER ======
-  doc.moveDown(2);
-  doc.moveTo(50, doc.y).lineTo(550, doc.y).strokeColor("#aaaaaa").stroke();
-  doc
-    .font(fonts.base)
-    .fontSize(9)
-    .fillColor("#555555")
-    .text("© 2025 SmartAsses | AI-Powered Educational Insights", { align: "center" });
-}
-
-function normalizeAiOutput(text) {
-  if (!text) return "";
-
-  let t = text;
-
-  // Add blank lines before markdown headings (**Heading**)
-  t = t.replace(/\n?\s*\*\*(.+?)\*\*\s*/g, "\n\n**$1**\n");
-
-  // Ensure component analysis rubric codes get spacing
-  t = t.replace(
-    /(C\d+\.\d+|P\d+|SE\d+|A\d+|CP\d+|CE\d+)\s*[-:]/g,
-    "\n\n$1 -"
-  );
-
-  // Add spacing after separator lines “---”
-  t = t.replace(/---+/g, "\n\n---\n\n");
-
-  // Fix smashed sentences: “Text.One” → “Text.\n\nOne”
-  t = t.replace(/\.([A-Z])/g, ".\n\n$1");
-
-  // Normalize too many newlines (3+ → 2)
-  t = t.replace(/\n{3,}/g, "\n\n");
-
-  return t.trim();
+// Writes a generated document to the report directory in the requested export format,
+// using the document type's PDF template and the teacher's school branding.
+async function saveDocument(content, { teacherId, format, baseName, title, template, data }) {
+  const branding = await getBranding(teacherId);
+  return exportDocument(content, { format, baseName, title, template, data, branding, dir: pdfDir });
 }
 
-function generatePDF(content, filename) {
-  return new Promise((resolve, reject) => {
-    const doc = new PDFDocument({ margin: 50 });
-    const filePath = path.join(pdfDir, filename);
-    const stream = fs.createWriteStream(filePath);
-    doc.pipe(stream);
-
-    // 👇 Call ONLY your formatter helper here (no duplicate logic)
-    formatSmartAssesReport(doc, content);
-
-    doc.end();
-    stream.on("finish", () => resolve(`/pdfs/${encodeURIComponent(filename)}`));
-    stream.on("error", reject);
-  });
+// Coded standards for grading; empty when the subject is unknown or no band covers the grade.
+function loadGradingStandards(subject, gradeLevel) {
+  return subject ? getStandards({ subject, grade: gradeLevel }) : [];
 }
 
-
-function renderTable(doc, tableData) {
-  const startX = doc.page.margins.left;
-  let y = doc.y;
-  const padding = 5;
-  const rowHeight = 25;
-  const colWidths = [170, 90, 250];
-
-  tableData.forEach((row, i) => {
-    let x = startX;
-    row.forEach((cell, j) => {
-      if (i === 0) {
-        doc.rect(x, y, colWidths[j], rowHeight).fillAndStroke('#f2f2f2', 'black');
-      } else {
-        doc.rect(x, y, colWidths[j], rowHeight).stroke();
-      }
-
-      doc
-        .fillColor('black')
-        .font('Helvetica')
-        .fontSize(9)
-        .text(cell, x + padding, y + 7, {
-          width: colWidths[j] - 2 * padding,
-          height: rowHeight,
-          ellipsis: true
-        });
-
-      x += colWidths[j];
-    });
-
-    y += rowHeight;
-
-    if (y + rowHeight > doc.page.height - doc.page.margins.bottom) {
-      doc.addPage();
-      y = doc.page.margins.top;
-    }
-  });
-
-  doc.moveDown(2);
-}
-
-function normalizeSubjectName(subjectRaw) {
-  const lower = subjectRaw.trim().toLowerCase();
-
-  if (lower.includes("english") || lower.includes("language arts") || lower === "ela") return "ELA";
-  if (lower.includes("social studies skills") || lower.includes("ss")) return "SS";
-  if (lower === "history") return "History";
-  if (lower === "geography") return "Geography";
-  if (lower === "civics") return "Civics";
-  if (lower === "economics") return "Economics";
-
-  return subjectRaw.trim();
-}
-
-async function identifySubject(submission) {
+async function identifySubject(submission, signal) {
   const prompt = `
 You are an AI assistant. Based on the student submission, determine the academic subject.
 
@@ -331,549 +135,554 @@ Choose ONLY ONE from the following exact options (case-sensitive):
 "SS" stands for "Social Studies Skills". Do not say anything but SS in this case!
 "ELA" stands for "English Language Arts". Do not say anything but ELA in this case!
 
-Submission:
-"${submission}"
+${untrustedBlock(submission)}
 
 Respond with only the exact subject name from the list above. Do NOT explain. Do NOT add extra words.
 `.trim();
 
-  const payload = {
-    model: "x-ai/grok-4-fast",
+  const reply = await llm.complete({
+    route: "subject",
     messages: [
       { role: "system", content: "You are a subject classification assistant." },
       { role: "user", content: prompt }
-    ]
-  };
+    ],
+    signal
+  });
+  const rawSubject = reply.text.trim();
+  return normalizeSubjectName(rawSubject);
+}
 
-  const headers = {
-    Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-    "Content-Type": "application/json"
-  };
+// Clients opt in to background processing with ?async=true, "async": true in the
+// body, or a `Prefer: respond-async` header; they then poll GET /jobs/:id.
+function wantsAsync(req) {
+  const flag = req.query.async ?? req.body?.async;
+  return flag === true || flag === "true" || /respond-async/i.test(req.headers.prefer || "");
+}
 
-  const res = await axios.post("https://openrouter.ai/api/v1/chat/completions", payload, { headers });
-  const rawSubject = res.data.choices[0].message.content.trim();
-  return normalizeSubjectName(rawSubject);
+// Asks the model for a grading, re-prompting with the validation errors if the JSON is
+// rejected. `provider` and `model` override the route's defaults (consistency samples).
+async function requestGrading({ route, messages, rubric, standards, provider, model, signal, onToken, onRetry }) {
+  messages = [...messages];
+  let usage;
+  let used = {};
+  const gradingResult = await requestValidGrading(async (correction) => {
+    if (correction) {
+      messages.push({ role: "user", content: correction });
+      if (onRetry) onRetry(correction);
+    }
+    const reply = await llm.complete({
+      route,
+      provider,
+      model,
+      messages,
+      json: true,
+      meta: { rubricCodes: rubric.criteria.map((c) => c.code), standardCodes: standards.map((s) => s.code) },
+      signal,
+      onToken,
+    });
+    usage = addUsage(usage, reply.usage);
+    used = { provider: reply.provider, model: reply.model };
+    messages.push({ role: "assistant", content: reply.text });
+    return reply.text;
+  }, rubric, { standards });
+  return { gradingResult, usage, ...used };
 }
 
-const multer = require("multer");
-const upload = multer({ dest: "uploads/" }); // temp storage for uploaded files
-const { spawn } = require("child_process");
+// One grading, or several combined when `consistency` (lib/consistency) is set.
+// `onSample` is told when each sample starts, so a streamed sample can be told apart.
+function gradeWithModel({ onSample, ...request }, consistency) {
+  if (!consistency) return requestGrading(request);
+  let sample = 0;
+  return gradeConsistently((target) => {
+    if (onSample) onSample({ sample: ++sample, samples: consistency.samples });
+    return requestGrading({ ...request, ...target });
+  }, request.rubric, consistency);
+}
 
+// Integrity findings quote the student's work, so only their kinds are logged.
+function logIntegrity(record) {
+  const { flagged, injection, consistency } = record.result.integrity;
+  if (!flagged) return;
+  console.warn("⚠️ Integrity findings:", {
+    submissionId: record.id,
+    injection: injection.map((f) => f.type),
+    consistency: consistency.map((f) => f.code || "overall"),
+  });
+}
 
-async function convertPdfToImages(pdfPath, outputDir) {
-  return new Promise((resolve, reject) => {
-    const process = spawn("python", ["convert_pdf_pymupdf.py", pdfPath, outputDir]);
+// Grades uploaded handwritten work (a PDF, a photo or several photos of the same
+// submission) and stores the report. `pageOrder` is passed to loadPages.
+async function gradeFileSubmission({
+  teacherId,
+  files,
+  pageOrder,
+  gradeLevel,
+  intensity,
+  subject,
+  rubricId,
+  format,
+  consistency = null,
+  rosterRefs = {},
+  signal,
+}) {
+  // ✅ Preprocessed page images (PDFs are rendered one image per page)
+  const { parts: imageParts, cleanup } = await loadPages(files, { order: pageOrder });
 
-    let data = "";
-    let error = "";
+  try {
+    // ✅ Rubric, standards and prompt
+    if (subject) subject = normalizeSubjectName(subject);
+    const rubric = await resolveRubric(teacherId, { rubricId, subject, gradeLevel });
+    const standards = loadGradingStandards(subject, gradeLevel);
+    const profile = getProfile(intensity);
 
-    process.stdout.on("data", (chunk) => {
-      data += chunk.toString();
-    });
+    const messages = [
+      {
+        role: "user",
+        content: [
+          {
+            type: "text",
+            text: buildGradingPrompt({
+              rubric,
+              standards,
+              profile,
+              gradeLevel,
+              subject,
+              handwriting: "ON",
+            }),
+          },
+          ...imageParts,
+        ],
+      },
+    ];
 
-    process.stderr.on("data", (chunk) => {
-      error += chunk.toString();
+    // ✅ Ask the model (several times in consistency mode)
+    const { gradingResult, usage } = await gradeWithModel(
+      { route: "gradeVision", messages, rubric, standards, signal },
+      consistency
+    );
+    gradingResult.integrity = assessIntegrity(gradingResult, rubric);
+
+    // ✅ Generate the report (PDF unless another export format was requested)
+    const pdfUrl = await saveDocument(renderGradingMarkdown(gradingResult), {
+      teacherId,
+      format,
+      baseName: "grading",
+      title: "SmartAsses | Grading Report",
+      template: "grading",
+      data: gradingResult,
     });
 
-    process.on("close", (code) => {
-      if (code !== 0) {
-        console.error("Python Error:", error || data);
-        return reject(error || "PDF conversion failed");
-      }
-      try {
-        const result = JSON.parse(data);
-        if (result.success) resolve(result.pages);
-        else reject(result.error || "Unknown error from Python");
-      } catch (err) {
-        reject("Invalid JSON output from Python: " + err.message);
-      }
+    const record = await createSubmission({
+      teacherId,
+      type: "grade",
+      gradeLevel,
+      subject: subject || null,
+      ...rosterRefs,
+      inputs: {
+        intensity: profile.id,
+        rubricId: rubric.id,
+        fileName: files.map((f) => f.originalname).join(", "),
+        ...(consistency ? { consistency: consistency.samples } : {}),
+      },
+      result: gradingResult,
+      format: normalizeFormat(format),
+      pdfUrl,
+      usage,
     });
-  });
-}
+    logIntegrity(record);
 
+    return { record, gradingResult, pdfUrl, usage };
+  } finally {
+    cleanup();
+  }
+}
 
-// app.post("/grade", upload.single("file"), async (req, res) => {
-//   const { gradeLevel, intensity, submission } = req.body || {};
-//   debugLog("🟢 Incoming Payload", {
-//     gradeLevel,
-//     intensity,
-//     handwriting: req.body?.handwriting,
-//     submission,
-//     file: req.file?.originalname,
-//   });
-
-//   // ---------------- FILE MODE ----------------
-//   if (req.file) {
-//     try {
-//       const headers = {
-//         Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-//         "Content-Type": "application/json",
-//         "OpenAI-Beta": "assistants=v2",
-//       };
-
-//       // Step 1: Upload file to OpenAI (as vision input for images)
-//       const fileForm = new FormData();
-//       fileForm.append("file", fs.createReadStream(req.file.path), req.file.originalname);
-//       fileForm.append("purpose", "vision"); // ✅ Important for GPT-4o vision
-
-//       const uploadResp = await axios.post("https://api.openai.com/v1/files", fileForm, {
-//         headers: {
-//           Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-//           ...fileForm.getHeaders(),
-//         },
-//       });
-
-//       const fileId = uploadResp.data.id;
-//       debugLog("📤 Uploaded File to OpenAI", fileId);
-
-//       // Step 2: Create a new thread
-//       const threadResp = await axios.post("https://api.openai.com/v1/threads", {}, { headers });
-//       const threadId = threadResp.data.id;
-//       debugLog("🧵 Created Thread", threadId);
-
-//       // Step 3: Prepare rubric + message content
-//       const rubricDetails = getAllDistinguishedComponents();
-//       const condensedRubric = rubricDetails
-//         .map((r) => `${r.code} (${r.criterion}) - ${r.component}`)
-//         .join("\n");
-
-//       const ext = path.extname(req.file.originalname).toLowerCase();
-//       const isImage = [".png", ".jpg", ".jpeg", ".webp"].includes(ext);
-
-//       // ✅ Compose message correctly (no attachments!)
-//       const messagePayload = {
-//         role: "user",
-//         content: [
-//           {
-//             type: "text",
-//             text: `
-// You are an expert educator and grading assistant.
-
-// Grade Level: ${gradeLevel}
-// Grading Intensity: ${intensity}
-// Handwriting Mode: ${isImage ? "ON" : "OFF"}
-
-// Use the following Rubric Components to evaluate the uploaded student submission.
-
-// 🎯 Rubric Components:
-// ${condensedRubric}
-
-// 📝 Provide your evaluation in this format:
-
-// ---
-// **Grading Report**
-// **Overall Score (out of 4)**
-// **Rubric Coverage**: All components reviewed.
-// ---
-// **Component Analysis**
-// (For each rubric code, provide Explanation, Evidence, Suggestions)
-// ---
-// **Feedback to Student**
-// ---
-// **Feedback to Teacher**
-//             `,
-//           },
-//           isImage
-//             ? {
-//                 type: "image_file",
-//                 image_file: { file_id: fileId }, // ✅ file uploaded with purpose: "vision"
-//               }
-//             : {
-//                 type: "text",
-//                 text: `Please grade the following text submission attached under file ID: ${fileId}`,
-//               },
-//         ],
-//       };
-
-//       // Step 4: Send message to thread
-//       await axios.post(
-//         `https://api.openai.com/v1/threads/${threadId}/messages`,
-//         messagePayload,
-//         { headers }
-//       );
-
-//       // Step 5: Run the assistant
-//       const runResp = await axios.post(
-//         `https://api.openai.com/v1/threads/${threadId}/runs`,
-//         { assistant_id: process.env.OPENAI_ASSISTANT_ID },
-//         { headers }
-//       );
-
-//       const runId = runResp.data.id;
-//       debugLog("🏃 Run started", runId);
-
-//       // Step 6: Poll until finished
-//       let runStatus = "in_progress";
-//       while (["in_progress", "queued"].includes(runStatus)) {
-//         await new Promise((r) => setTimeout(r, 2000));
-//         const check = await axios.get(
-//           `https://api.openai.com/v1/threads/${threadId}/runs/${runId}`,
-//           { headers }
-//         );
-//         runStatus = check.data.status;
-//         debugLog("⏳ Run status", runStatus);
-//       }
-
-//       if (runStatus !== "completed") {
-//         return res.status(500).json({ error: "Assistant run failed." });
-//       }
-
-//       // Step 7: Retrieve assistant response
-//       const messagesResp = await axios.get(
-//         `https://api.openai.com/v1/threads/${threadId}/messages`,
-//         { headers }
-//       );
-//       const messages = messagesResp.data.data;
-//       const assistantReply =
-//         messages.find((m) => m.role === "assistant")?.content?.[0]?.text?.value || "";
-
-//       if (!assistantReply.trim()) {
-//         return res.status(500).json({ error: "Assistant returned empty content." });
-//       }
-
-//       // Step 8: Generate PDF
-//       const pdfFilename = `grading-${Date.now()}.pdf`;
-//       const pdfUrl = await generatePDF(assistantReply, pdfFilename);
-
-//       return res.json({ success: true, result: assistantReply, pdfUrl });
-//     } catch (err) {
-//       console.error("🔥 Error in file grading:", err.response?.data || err.message);
-//       return res.status(500).json({ error: "File grading failed." });
-//     }
-//   }
-
-//   // ---------------- TEXT MODE ----------------
-//   if (!submission || !submission.trim()) {
-//     return res.status(400).json({ error: "Assignment text is required." });
-//   }
-
-//   try {
-//     const subject = await identifySubject(submission);
-//     debugLog("📚 Identified Subject", subject);
-
-//     const standardsData = loadStandardsFile(subject, gradeLevel);
-//     const rubricDetails = getAllDistinguishedComponents();
-
-//     let standardsText = "📭 No grade-level standards available. Using rubric only.";
-//     if (standardsData && Array.isArray(standardsData.standards)) {
-//       if (subject === "ELA") {
-//         standardsText = standardsData.standards
-//           .map((domain) => `📘 ${domain.domain}\n${domain.standards.map((item) => `- ${item}`).join("\n")}`)
-//           .join("\n\n");
-//       } else {
-//         standardsText = standardsData.standards
-//           .map(
-//             (domain) =>
-//               `📌 ${domain.domain} - ${domain.title}\n${domain.components
-//                 .map((c) => `- ${c.code}: ${c.description}`)
-//                 .join("\n")}`
-//           )
-//           .join("\n\n");
-//       }
-//     }
-
-//     const condensedRubric = rubricDetails.map((r) => `${r.code} (${r.criterion}) - ${r.component}`).join("\n");
-
-//     const prompt = `
-// You are an expert educator and grading assistant.
-
-// Grade Level: ${gradeLevel}
-// Grading Intensity: ${intensity}
-// Identified Subject: ${subject}
-// Handwriting Mode: OFF
-
-// Use the following Rubric Components and Grade-Level Standards to evaluate the student submission.
-
-// 🎯 Rubric Components:
-// ${condensedRubric}
-
-// 📚 Grade-Level Standards:
-// ${standardsText}
-
-// ✍️ Student Submission:
-// "${submission}"
-
-// 📝 Provide your evaluation in this format:
-
-// ---
-// **Grading Report**
-// **Overall Score (out of 4)**
-// **Rubric Coverage**: All components reviewed.
-// ---
-// **Component Analysis**
-// (For each rubric code, provide Explanation, Evidence, and Suggestions)
-// ---
-// **Feedback to Student**
-// ---
-// **Feedback to Teacher**
-//     `.trim();
-
-//     const headers = {
-//       Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-//       "Content-Type": "application/json",
-//     };
-
-//     const aiResponse = await axios.post(
-//       "https://openrouter.ai/api/v1/chat/completions",
-//       {
-//         model: "mistralai/mistral-7b-instruct:free",
-//         messages: [
-//           { role: "system", content: "You are an educational grading assistant." },
-//           { role: "user", content: prompt },
-//         ],
-//       },
-//       { headers }
-//     );
-
-//     let result = aiResponse.data.choices[0].message?.content || "";
-//     debugLog("🧠 Raw Model Output", result);
-
-//     if (!result.trim()) {
-//       return res.status(500).json({ error: "Model returned empty content." });
-//     }
-
-//     const pdfFilename = `grading-${Date.now()}.pdf`;
-//     const pdfUrl = await generatePDF(result, pdfFilename);
-
-//     res.json({ success: true, result, pdfUrl });
-//   } catch (err) {
-//     console.error("🔥 Error during grading:", err);
-//     res.status(500).json({ error: "Error processing grading with Mistral." });
-//   }
-// });
-app.post("/grade", upload.single("file"), async (req, res) => {
-  const { gradeLevel, intensity, submission } = req.body || {};
-  console.log("🟢 Incoming Payload", {
+// Grades a typed submission and stores the report. `subject` skips detection when known.
+// `fileName` records the uploaded document(s) the text was read from. With `transcriptId`,
+// the (teacher-corrected) handwriting transcript is graded instead of `submission` and
+// printed at the end of the report.
+async function gradeTextSubmission({
+  teacherId,
+  submission,
+  fileName,
+  transcriptId,
+  gradeLevel,
+  intensity,
+  subject,
+  rubricId,
+  format,
+  consistency = null,
+  rosterRefs = {},
+  signal,
+  onToken,
+  onRetry,
+  onSample,
+}) {
+  const transcript = transcriptId ? assertGradable(await getTranscript(teacherId, transcriptId)) : null;
+  if (transcript) submission = transcriptText(transcript);
+
+  subject = subject ? normalizeSubjectName(subject) : await identifySubject(submission, signal);
+  const rubric = await resolveRubric(teacherId, { rubricId, subject, gradeLevel });
+  const standards = loadGradingStandards(subject, gradeLevel);
+  const profile = getProfile(intensity);
+
+  const prompt = buildGradingPrompt({
+    rubric,
+    standards,
+    profile,
     gradeLevel,
-    intensity,
+    subject,
     submission,
-    file: req.file?.originalname,
+    handwriting: transcript ? "ON (graded from a teacher-reviewed transcript; do not penalize legibility)" : "OFF",
   });
 
-  // ---------------- FILE MODE ----------------
-  if (req.file) {
-    try {
-      const headers = {
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        "Content-Type": "application/json",
-        "OpenAI-Beta": "assistants=v2",
-      };
-
-      const ext = path.extname(req.file.originalname).toLowerCase();
-      const isImage = [".png", ".jpg", ".jpeg", ".webp"].includes(ext);
-      const isPdf = ext === ".pdf";
-
-      let uploadedFileIds = [];
-      let outputDir = "";
-
-      // ✅ Handle PDF uploads
-      if (isPdf) {
-        outputDir = path.join("uploads", `pdfpages-${Date.now()}`);
-        const pages = await convertPdfToImages(req.file.path, outputDir);
-        console.log(`📄 PDF converted into ${pages.length} pages`);
-
-        for (const pagePath of pages) {
-          const fileForm = new FormData();
-          fileForm.append("file", fs.createReadStream(pagePath), path.basename(pagePath));
-          fileForm.append("purpose", "vision");
-          const uploadResp = await axios.post("https://api.openai.com/v1/files", fileForm, {
-            headers: {
-              Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-              ...fileForm.getHeaders(),
-            },
-          });
-          uploadedFileIds.push(uploadResp.data.id);
-        }
-      } else {
-        // ✅ Normal image upload
-        const fileForm = new FormData();
-        fileForm.append("file", fs.createReadStream(req.file.path), req.file.originalname);
-        fileForm.append("purpose", "vision");
-        const uploadResp = await axios.post("https://api.openai.com/v1/files", fileForm, {
-          headers: {
-            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-            ...fileForm.getHeaders(),
-          },
-        });
-        uploadedFileIds = [uploadResp.data.id];
-      }
+  const messages = [
+    { role: "system", content: GRADER_SYSTEM_PROMPT },
+    { role: "user", content: prompt },
+  ];
 
-      console.log("📤 Uploaded Files:", uploadedFileIds);
+  const { gradingResult, usage } = await gradeWithModel(
+    { route: "grade", messages, rubric, standards, signal, onToken, onRetry, onSample },
+    consistency
+  );
+  gradingResult.integrity = assessIntegrity(gradingResult, rubric, { text: submission });
+
+  const report = renderGradingMarkdown(gradingResult, { transcript: transcript && describeTranscript(transcript) });
+  const pdfUrl = await saveDocument(report, {
+    teacherId,
+    format,
+    baseName: "grading",
+    title: "SmartAsses | Grading Report",
+    template: "grading",
+    data: gradingResult,
+  });
 
-      // ✅ Create thread
-      const threadResp = await axios.post("https://api.openai.com/v1/threads", {}, { headers });
-      const threadId = threadResp.data.id;
+  const record = await createSubmission({
+    teacherId,
+    type: "grade",
+    gradeLevel,
+    subject,
+    ...rosterRefs,
+    inputs: {
+      intensity: profile.id,
+      rubricId: rubric.id,
+      submission,
+      ...(fileName ? { fileName } : {}),
+      ...(consistency ? { consistency: consistency.samples } : {}),
+      ...(transcript ? { transcriptId: transcript.id } : {}),
+    },
+    result: gradingResult,
+    format: normalizeFormat(format),
+    pdfUrl,
+    usage,
+  });
+  logIntegrity(record);
+  if (transcript) await linkSubmission(teacherId, transcript.id, record.id);
 
-      // ✅ Rubric and prompt
-      const rubricDetails = getAllDistinguishedComponents();
-      const condensedRubric = rubricDetails
-        .map((r) => `${r.code} (${r.criterion}) - ${r.component}`)
-        .join("\n");
+  return { record, gradingResult, pdfUrl, usage };
+}
 
-      const messagePayload = {
-        role: "user",
-        content: [
-          {
-            type: "text",
-            text: `
-You are an expert educator and grading assistant.
-
-Grade Level: ${gradeLevel}
-Grading Intensity: ${intensity}
-Handwriting Mode: ${isImage || isPdf ? "ON" : "OFF"}
-
-Use the following Rubric Components to evaluate the uploaded student submission.
-
-🎯 Rubric Components:
-${condensedRubric}
-
-📝 Provide your evaluation in this format:
-
----
-**Grading Report**
-**Overall Score (out of 4)**
-**Rubric Coverage**: All components reviewed.
----
-**Component Analysis**
-(For each rubric code, provide Explanation, Evidence, Suggestions)
----
-**Feedback to Student**
----
-**Feedback to Teacher**
-            `,
-          },
-          ...(isImage || isPdf
-            ? uploadedFileIds.map((fid) => ({
-                type: "image_file",
-                image_file: { file_id: fid },
-              }))
-            : [
-                {
-                  type: "text",
-                  text: `Please grade the following text submission attached under file ID: ${uploadedFileIds[0]}`,
-                },
-              ]),
-        ],
-      };
+// Intensity profiles accepted as `intensity` by the grading endpoints.
+app.get("/grade/intensities", requireAuth, (req, res) => {
+  res.json({ success: true, intensities: listProfiles() });
+});
 
-      // ✅ Send message
-      await axios.post(`https://api.openai.com/v1/threads/${threadId}/messages`, messagePayload, {
-        headers,
-      });
+// Several photos of one submission can be sent as repeated "file" fields. Uploads are
+// deleted when the response is sent; a background job takes over the page files.
+app.post("/grade", requireAuth, acceptUploads("file"), async (req, res) => {
+  // An explicit subject wins over the assignment's; text submissions are detected otherwise.
+  // `transcriptId` grades a reviewed handwriting transcript (POST /transcribe) as text.
+  const { intensity, submission, subject, studentId, assignmentId, rubricId, transcriptId, pageOrder, format } = req.body || {};
+  const files = req.files?.length ? req.files : null;
+  console.log("🟢 Incoming Payload", {
+    gradeLevel: req.body?.gradeLevel,
+    intensity,
+    rubricId,
+    studentId,
+    assignmentId,
+    transcriptId,
+    // Student work stays out of the logs; only its size is recorded.
+    submissionChars: typeof submission === "string" ? submission.length : undefined,
+    files: files?.length || 0,
+  });
 
-      // ✅ Run assistant
-      const runResp = await axios.post(
-        `https://api.openai.com/v1/threads/${threadId}/runs`,
-        { assistant_id: process.env.OPENAI_ASSISTANT_ID },
-        { headers }
-      );
-      const runId = runResp.data.id;
-
-      // ✅ Poll until done
-      let runStatus = "in_progress";
-      while (["in_progress", "queued"].includes(runStatus)) {
-        await new Promise((r) => setTimeout(r, 2000));
-        const check = await axios.get(
-          `https://api.openai.com/v1/threads/${threadId}/runs/${runId}`,
-          { headers }
-        );
-        runStatus = check.data.status;
-        console.log("⏳ Run status", runStatus);
-      }
+  // Student/assignment links; the class supplies the grade level when present.
+  let context;
+  try {
+    context = await resolveGradingContext(req.teacher.id, req.body || {});
+    if (rubricId) await getRubric(req.teacher.id, rubricId);
+    if (transcriptId) assertGradable(await getTranscript(req.teacher.id, transcriptId));
+    normalizePageOrder(pageOrder);
+    normalizeFormat(format);
+    normalizeIntensity(intensity);
+  } catch (err) {
+    if (
+      err instanceof RosterError || err instanceof RubricError || err instanceof ExportError ||
+      err instanceof TranscriptionError || err instanceof PageError || err instanceof IntensityError
+    ) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    throw err;
+  }
+  const { gradeLevel } = context;
+  const rosterRefs = {
+    studentId: context.student?.id || null,
+    assignmentId: context.assignment?.id || null,
+    classId: context.class?.id || null,
+  };
 
-      if (runStatus !== "completed") {
-        return res.status(500).json({ error: "Assistant run failed." });
-      }
+  if (files && transcriptId) {
+    return res.status(400).json({ error: "Send either a file or a transcriptId, not both." });
+  }
+  if (submission != null && typeof submission !== "string") {
+    return res.status(400).json({ error: "'submission' must be text." });
+  }
+  if (!files && !transcriptId && (!submission || !submission.trim())) {
+    return res.status(400).json({ error: "Assignment text is required." });
+  }
 
-      // ✅ Retrieve response
-      const messagesResp = await axios.get(
-        `https://api.openai.com/v1/threads/${threadId}/messages`,
-        { headers }
-      );
-      const messages = messagesResp.data.data;
-      const assistantReply =
-        messages.find((m) => m.role === "assistant")?.content?.[0]?.text?.value || "";
-
-      if (!assistantReply.trim()) {
-        return res.status(500).json({ error: "Assistant returned empty content." });
+  // Typed documents are read here and graded as text; PDFs and photos are graded from page images.
+  let pageFiles = null;
+  let documentText = null;
+  if (files) {
+    try {
+      const { documents, pages } = classifyUploads(files);
+      if (documents.length && pages.length) {
+        return res.status(400).json({ error: "Upload either typed documents or page images/PDFs for one submission, not both." });
       }
+      if (documents.length) documentText = extractDocuments(documents);
+      else pageFiles = pages;
+    } catch (err) {
+      if (err instanceof ExtractionError) return res.status(err.status).json({ error: err.message });
+      throw err;
+    }
+  }
+  const fileName = files ? files.map((f) => f.originalname).join(", ") : null;
 
-      // ✅ Generate PDF
-      const pdfFilename = `grading-${Date.now()}.pdf`;
-
-     const cleaned = normalizeAiOutput(assistantReply);
-const pdfUrl = await generatePDF(cleaned, pdfFilename);
+  // `consistency` (true or a sample count) grades several times and combines the scores;
+  // its models are checked against the route the submission is graded on.
+  let consistency;
+  try {
+    consistency = normalizeConsistency(req.body || {}, pageFiles ? "gradeVision" : "grade");
+  } catch (err) {
+    if (err instanceof ConsistencyError) return res.status(err.status).json({ error: err.message });
+    throw err;
+  }
 
-      if (isPdf && outputDir) fs.rmSync(outputDir, { recursive: true, force: true });
+  if (wantsAsync(req)) {
+    if (pageFiles) retainUploads(req);
+    const job = await enqueue(req.teacher.id, "grade", {
+      files: pageFiles && pageFiles.map((f) => ({ path: f.path, originalname: f.originalname })),
+      pageOrder: pageOrder || null,
+      submission: pageFiles || transcriptId ? null : documentText ?? submission,
+      fileName,
+      transcriptId: transcriptId || null,
+      gradeLevel,
+      intensity,
+      subject: subject || context.assignment?.subject || null,
+      rubricId: rubricId || null,
+      format: format || null,
+      consistency,
+      rosterRefs,
+    });
+    return res.status(202).json({ success: true, jobId: job.id, statusUrl: `/jobs/${job.id}` });
+  }
 
-      return res.json({ success: true, result: assistantReply, pdfUrl });
+  // ---------------- FILE MODE ----------------
+  if (pageFiles) {
+    try {
+      const { record, gradingResult, pdfUrl, usage } = await gradeFileSubmission({
+        teacherId: req.teacher.id,
+        files: pageFiles,
+        pageOrder,
+        gradeLevel,
+        intensity,
+        subject: subject || context.assignment?.subject,
+        rubricId,
+        format,
+        consistency,
+        rosterRefs,
+      });
+      return res.json({ success: true, submissionId: record.id, result: gradingResult, pdfUrl, usage });
     } catch (err) {
       console.error("🔥 Error in file grading:", err.response?.data || err.message);
+      if (err instanceof PageError) return res.status(err.status).json({ error: err.message });
+      if (err instanceof GradingValidationError) {
+        return res.status(502).json({ error: "Model returned an invalid grading result.", details: err.errors });
+      }
       return res.status(500).json({ error: "File grading failed." });
     }
   }
 
   // ---------------- TEXT MODE ----------------
-  if (!submission || !submission.trim()) {
-    return res.status(400).json({ error: "Assignment text is required." });
-  }
-
   try {
-    const subject = await identifySubject(submission);
-    const standardsData = loadStandardsFile(subject, gradeLevel);
-    const rubricDetails = getAllDistinguishedComponents();
-
-    const condensedRubric = rubricDetails
-      .map((r) => `${r.code} (${r.criterion}) - ${r.component}`)
-      .join("\n");
+    const { record, gradingResult, pdfUrl, usage } = await gradeTextSubmission({
+      teacherId: req.teacher.id,
+      submission: documentText ?? submission,
+      fileName,
+      transcriptId,
+      gradeLevel,
+      intensity,
+      subject: subject || context.assignment?.subject,
+      rubricId,
+      format,
+      consistency,
+      rosterRefs,
+    });
+    res.json({ success: true, submissionId: record.id, result: gradingResult, pdfUrl, usage });
+  } catch (err) {
+    console.error("🔥 Error during grading:", err);
+    if (err instanceof GradingValidationError) {
+      return res.status(502).json({ error: "Model returned an invalid grading result.", details: err.errors });
+    }
+    res.status(500).json({ error: "Error processing grading." });
+  }
+});
 
-    const prompt = `
-You are an expert educator and grading assistant.
+// ---------------- BATCH MODE ----------------
+// POST /grade/batch: ZIP of submissions (+ optional roster CSV). Grading runs in the
+// background; poll GET /grade/batch/:id and fetch results from /grade/batch/:id/download.
+app.post(
+  "/grade/batch",
+  requireAuth,
+  acceptUploads([{ name: "file", maxCount: 1 }, { name: "roster", maxCount: 1 }], { accept: "batch", maxFileSize: MAX_BATCH_BYTES }),
+  async (req, res) => {
+    const zipFile = req.files?.file?.[0];
+    const rosterFile = req.files?.roster?.[0];
+    const { gradeLevel, intensity, assignmentId, classId, rubricId, format } = req.body || {};
+
+    if (!zipFile) return res.status(400).json({ error: "A ZIP file is required." });
+
+    const workDir = path.join(UPLOAD_DIR, `batch-${Date.now()}`);
+    try {
+      const context = await resolveGradingContext(req.teacher.id, { assignmentId, gradeLevel });
+      if (classId) await getRecord(req.teacher.id, "classes", classId);
+      if (rubricId) await getRubric(req.teacher.id, rubricId);
+      normalizeFormat(format);
+      normalizeIntensity(intensity);
+
+      const batch = await createBatch({
+        teacherId: req.teacher.id,
+        zipPath: zipFile.path,
+        rosterCsv: rosterFile ? fs.readFileSync(rosterFile.path, "utf8") : null,
+        gradeLevel: context.gradeLevel,
+        intensity,
+        rubricId,
+        format,
+        assignmentId: context.assignment?.id,
+        classId: classId || context.class?.id,
+        workDir,
+      });
 
-Grade Level: ${gradeLevel}
-Grading Intensity: ${intensity}
-Identified Subject: ${subject}
-Handwriting Mode: OFF
+      const job = await enqueue(req.teacher.id, "batch", { batchId: batch.id });
 
-Use the following Rubric Components and Grade-Level Standards to evaluate the student submission.
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        batchId: batch.id,
+        statusUrl: `/grade/batch/${batch.id}`,
+        batch: summarizeBatch(batch),
+      });
+    } catch (err) {
+      fs.rmSync(workDir, { recursive: true, force: true });
+      if ([BatchError, RosterError, RubricError, ExportError, IntensityError].some((E) => err instanceof E)) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error("🔥 Error starting batch grading:", err);
+      res.status(500).json({ error: "Batch grading failed to start." });
+    }
+  }
+);
 
-🎯 Rubric Components:
-${condensedRubric}
+// Grades one file of a batch through the same paths as /grade.
+async function gradeBatchFile(batch, file, signal) {
+  const { gradeLevel, intensity, rubricId, format, assignmentId, classId } = batch.options;
+  const context = await resolveGradingContext(batch.teacherId, {
+    studentId: file.studentId,
+    assignmentId,
+    gradeLevel,
+  });
+  const rosterRefs = {
+    studentId: context.student?.id || null,
+    assignmentId: context.assignment?.id || null,
+    classId: context.class?.id || classId || null,
+  };
 
-✍️ Student Submission:
-"${submission}"
-    `.trim();
+  if (file.kind === "text") {
+    // Batches created before document support only held .txt files.
+    const submission = extractText(file.path, file.format || "text", file.name);
+    return gradeTextSubmission({
+      teacherId: batch.teacherId,
+      submission,
+      fileName: file.name,
+      gradeLevel: context.gradeLevel,
+      intensity,
+      subject: context.assignment?.subject,
+      rubricId,
+      format,
+      rosterRefs,
+      signal,
+    });
+  }
 
-    const headers = {
-      Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-      "Content-Type": "application/json",
-    };
+  return gradeFileSubmission({
+    teacherId: batch.teacherId,
+    files: [{ path: file.path, originalname: file.name }],
+    gradeLevel: context.gradeLevel,
+    intensity,
+    subject: context.assignment?.subject,
+    rubricId,
+    format,
+    rosterRefs,
+    signal,
+  });
+}
 
-    const aiResponse = await axios.post(
-      "https://openrouter.ai/api/v1/chat/completions",
-      {
-        model: "x-ai/grok-4-fast",
-        messages: [
-          { role: "system", content: "You are an educational grading assistant." },
-          { role: "user", content: prompt },
-        ],
-      },
-      { headers }
-    );
+app.get("/grade/batch/:id", requireAuth, async (req, res) => {
+  const batch = await getBatch(req.teacher.id, req.params.id);
+  if (!batch) return res.status(404).json({ error: "Batch not found." });
+  res.json({ success: true, batch: summarizeBatch(batch) });
+});
 
-    const result = aiResponse.data.choices[0].message?.content || "";
-    const pdfFilename = `grading-${Date.now()}.pdf`;
-    const cleaned = normalizeAiOutput(result);
-const pdfUrl = await generatePDF(cleaned, pdfFilename);
+app.get("/grade/batch/:id/download", requireAuth, async (req, res) => {
+  const batch = await getBatch(req.teacher.id, req.params.id);
+  if (!batch) return res.status(404).json({ error: "Batch not found." });
+  if (["queued", "running"].includes(batch.status)) {
+    return res.status(409).json({ error: "Batch is still running." });
+  }
 
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="batch-${batch.id}.zip"`);
+  res.send(buildBatchArchive(batch, pdfDir));
+});
 
-    res.json({ success: true, result, pdfUrl });
+// Rejects a non-text subject (sent as `subjectField`), codes in `standards` that are
+// unknown or outside the subject's grade band, and unsupported export formats up front,
+// before any job is queued or stream opened.
+function checkGenerationInputs(req, res, subjectField) {
+  const subject = req.body[subjectField];
+  if (typeof subject !== "string" || !["string", "number"].includes(typeof req.body.grade)) {
+    res.status(400).json({ error: `'${subjectField}' must be text and 'grade' a grade.` });
+    return false;
+  }
+  try {
+    selectStandards({ subject: normalizeSubjectName(subject), grade: req.body.grade, codes: req.body.standards });
+    normalizeFormat(req.body.format);
+    return true;
   } catch (err) {
-    console.error("🔥 Error during grading:", err);
-    res.status(500).json({ error: "Error processing grading with Mistral." });
+    if (err instanceof StandardsError) {
+      res.status(err.status).json({ error: err.message, details: err.errors });
+      return false;
+    }
+    if (err instanceof ExportError) {
+      res.status(err.status).json({ error: err.message });
+      return false;
+    }
+    throw err;
   }
-});
-app.post('/lessonplan', async (req, res) => {
+}
+
+async function generateLessonPlan(teacherId, body, { signal, onToken } = {}) {
   const {
     class: subject,
     grade,
@@ -891,47 +700,27 @@ app.post('/lessonplan', async (req, res) => {
     includeSelfAssessment,
     includeVocabulary,
     differentiate,
-    multipleLessons
-  } = req.body;
-
-  debugLog('🟢 Lesson Plan Request', req.body);
-
-  if (!subject || !grade || !unit) {
-    return res.status(400).json({ error: 'Subject, grade, and unit title are required.' });
-  }
+    multipleLessons,
+    standards: standardCodes
+  } = body;
+
+  const normalizedSubject = normalizeSubjectName(subject);
+  const selection = selectStandards({ subject: normalizedSubject, grade, codes: standardCodes });
+
+  const checklist = [
+    generateLessonPlan && '1-page Lesson Plan',
+    generateNotes && '1-page Notes',
+    boardReady && 'Board-ready Targets',
+    includePreAssessment && 'Pre-Assessment',
+    includeFormative && 'Formative Assessment',
+    includePostAssessment && 'Post-Assessment',
+    includeSelfAssessment && 'Self-Assessment',
+    includeVocabulary && 'Vocabulary',
+    differentiate && 'Differentiation (ELL/Level)',
+    multipleLessons && 'Multiple Lessons'
+  ].filter(Boolean).join(', ');
 
-  try {
-    const normalizedSubject = normalizeSubjectName(subject);
-    const standardsData = loadStandardsFile(normalizedSubject, grade);
-
-    let standardsText = '📭 No grade-level standards available.';
-    if (standardsData && Array.isArray(standardsData.standards)) {
-      if (normalizedSubject === 'ELA') {
-        standardsText = standardsData.standards.map(domain => {
-          return `📘 ${domain.domain}\n${domain.standards.map(item => `- ${item}`).join('\n')}`;
-        }).join('\n\n');
-      } else {
-        standardsText = standardsData.standards.map(domain => {
-          return `📌 ${domain.domain} - ${domain.title}\n${domain.components.map(c =>
-            `- ${c.code} [${c.grade}, ${c.region}]: ${c.description}`).join('\n')}`;
-        }).join('\n\n');
-      }
-    }
-
-    const checklist = [
-      generateLessonPlan && '1-page Lesson Plan',
-      generateNotes && '1-page Notes',
-      boardReady && 'Board-ready Targets',
-      includePreAssessment && 'Pre-Assessment',
-      includeFormative && 'Formative Assessment',
-      includePostAssessment && 'Post-Assessment',
-      includeSelfAssessment && 'Self-Assessment',
-      includeVocabulary && 'Vocabulary',
-      differentiate && 'Differentiation (ELL/Level)',
-      multipleLessons && 'Multiple Lessons'
-    ].filter(Boolean).join(', ');
-
-    const prompt = `
+  const prompt = `
 You are a master teacher and curriculum planner.
 
 Generate a complete lesson plan based on the following inputs:
@@ -945,8 +734,7 @@ Generate a complete lesson plan based on the following inputs:
 ✅ Student Success Criteria: ${criteria || 'N/A'}
 📝 Checklist: ${checklist || 'None'}
 
-📚 Grade-Level Standards:
-${standardsText}
+${buildStandardsPrompt(selection)}
 
 Be detailed and structured. Use headings. Keep it professional, usable by real teachers.
 Only include the selected items from the checklist.
@@ -957,34 +745,70 @@ Constraints:
 - If "Multiple Lessons" is selected, provide several detailed lesson breakdowns.
 `.trim();
 
-    const headers = {
-      Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-      "Content-Type": "application/json"
-    };
+  const reply = await llm.complete({
+    route: "lessonplan",
+    messages: [
+      { role: "system", content: "You are a professional lesson planner and curriculum designer." },
+      { role: "user", content: prompt }
+    ],
+    signal,
+    onToken
+  });
 
-    const response = await axios.post("https://openrouter.ai/api/v1/chat/completions", {
-      model: "x-ai/grok-4-fast",
-      messages: [
-        { role: "system", content: "You are a professional lesson planner and curriculum designer." },
-        { role: "user", content: prompt }
-      ]
-    }, { headers });
+  const result = reply.text;
+  debugLog('🧠 Lesson Plan Output', result);
+  const coverage = buildCoverageMap(result, selection);
+
+  const pdfUrl = await saveDocument(result, {
+    teacherId,
+    format: body.format,
+    baseName: 'lessonplan',
+    title: 'SmartAsses | Lesson Plan',
+    template: 'lessonplan',
+    data: { subject: normalizedSubject, grade, unit, standards: selection.standards.filter((s) => coverage.standards[s.code]) }
+  });
+
+  const record = await createSubmission({
+    teacherId,
+    type: 'lessonplan',
+    gradeLevel: grade,
+    subject: normalizedSubject,
+    inputs: body,
+    result,
+    standardsCoverage: coverage,
+    format: normalizeFormat(body.format),
+    pdfUrl,
+    usage: reply.usage
+  });
+
+  return { record, result, coverage, pdfUrl, usage: reply.usage };
+}
 
-    let result = response.data.choices[0].message.content;
-    debugLog('🧠 Lesson Plan Output', result);
-    result = result.replace(/[^\x00-\x7F]+/g, '');
+app.post('/lessonplan', requireAuth, async (req, res) => {
+  const { class: subject, grade, unit } = req.body;
 
-    const pdfFilename = `lessonplan-${Date.now()}.pdf`;
-    const pdfUrl = await generatePDF(result, pdfFilename);
+  debugLog('🟢 Lesson Plan Request', req.body);
 
-    res.json({ success: true, result, pdfUrl });
+  if (!subject || !grade || !unit) {
+    return res.status(400).json({ error: 'Subject, grade, and unit title are required.' });
+  }
+  if (!checkGenerationInputs(req, res, 'class')) return;
+
+  if (wantsAsync(req)) {
+    const job = await enqueue(req.teacher.id, 'lessonplan', req.body);
+    return res.status(202).json({ success: true, jobId: job.id, statusUrl: `/jobs/${job.id}` });
+  }
+
+  try {
+    const { record, result, coverage, pdfUrl, usage } = await generateLessonPlan(req.teacher.id, req.body);
+    res.json({ success: true, submissionId: record.id, result, coverage, pdfUrl, usage });
   } catch (err) {
     console.error('🔥 Error during lesson plan generation:', err);
     res.status(500).json({ error: 'Lesson plan generation failed.' });
   }
 });
 
-app.post('/assignment', async (req, res) => {
+async function generateAssignment(teacherId, body, { signal, onToken } = {}) {
   const {
     subject,
     grade,
@@ -996,48 +820,26 @@ app.post('/assignment', async (req, res) => {
     includeScaffoldedSupport,
     requireResearch,
     includeReflection,
-    multipleVersions
-  } = req.body;
-
-  debugLog('🟢 Assignment Generator Request', req.body);
-
-  // Validate required fields
-  if (!subject || !grade || !unit || !topic) {
-    return res.status(400).json({ error: 'Subject, grade, unit title, and topic are required.' });
-  }
-
-  try {
-    // Normalize subject & load standards
-    const normalizedSubject = normalizeSubjectName(subject);
-    const standardsData = loadStandardsFile(normalizedSubject, grade);
-
-    let standardsText = '📭 No grade-level standards available.';
-    if (standardsData && Array.isArray(standardsData.standards)) {
-      if (normalizedSubject === 'ELA') {
-        standardsText = standardsData.standards.map(domain => {
-          return `📘 ${domain.domain}\n${domain.standards.map(item => `- ${item}`).join('\n')}`;
-        }).join('\n\n');
-      } else {
-        standardsText = standardsData.standards.map(domain => {
-          return `📌 ${domain.domain} - ${domain.title}\n${domain.components.map(c =>
-            `- ${c.code} [${c.grade}, ${c.region}]: ${c.description}`
-          ).join('\n')}`;
-        }).join('\n\n');
-      }
-    }
-
-    // Build checklist string from checkboxes
-    const features = [
-      includeRubric && 'Rubric',
-      includeInstructions && 'Student Instructions',
-      includeScaffoldedSupport && 'Scaffolded Support',
-      requireResearch && 'Research Required',
-      includeReflection && 'Student Reflection',
-      multipleVersions && 'Multiple Versions'
-    ].filter(Boolean).join(', ') || 'None';
-
-    // Build the prompt for AI
-    const prompt = `
+    multipleVersions,
+    standards: standardCodes
+  } = body;
+
+  // Normalize subject & pick standards (the teacher's selection, or the whole grade band)
+  const normalizedSubject = normalizeSubjectName(subject);
+  const selection = selectStandards({ subject: normalizedSubject, grade, codes: standardCodes });
+
+  // Build checklist string from checkboxes
+  const features = [
+    includeRubric && 'Rubric',
+    includeInstructions && 'Student Instructions',
+    includeScaffoldedSupport && 'Scaffolded Support',
+    requireResearch && 'Research Required',
+    includeReflection && 'Student Reflection',
+    multipleVersions && 'Multiple Versions'
+  ].filter(Boolean).join(', ') || 'None';
+
+  // Build the prompt for AI
+  const prompt = `
 You are a master teacher designing classroom assignments.
 
 Create a detailed assignment based on the following:
@@ -1049,39 +851,213 @@ Create a detailed assignment based on the following:
 🎯 Learning Objectives: ${objectives || 'N/A'}
 ✅ Requested Features: ${features}
 
-📚 Grade-Level Standards:
-${standardsText}
+${buildStandardsPrompt(selection)}
 
-Please include all the requested features clearly. Use headings, structure, and professional format appropriate for teachers.`;
+Please include all the requested features clearly. Use headings, structure, and professional format appropriate for teachers.
+Write the student-facing handout first. End with a section headed "**Teacher Answer Key**" containing
+answers, exemplar responses or scoring notes; it is printed separately and never shown to students.`;
 
-    const headers = {
-      Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-      "Content-Type": "application/json"
-    };
+  const reply = await llm.complete({
+    route: "assignment",
+    messages: [
+      { role: "system", content: "You are an assignment designer educator." },
+      { role: "user", content: prompt }
+    ],
+    signal,
+    onToken
+  });
 
-    const aiResponse = await axios.post("https://openrouter.ai/api/v1/chat/completions", {
-      model: "x-ai/grok-4-fast",
-      messages: [
-        { role: "system", content: "You are an assignment designer educator." },
-        { role: "user", content: prompt }
-      ]
-    }, { headers });
+  const result = reply.text;
+  debugLog('🧠 Assignment Generator Output', result);
+  const coverage = buildCoverageMap(result, selection);
+
+  const pdfUrl = await saveDocument(result, {
+    teacherId,
+    format: body.format,
+    baseName: 'assignment',
+    title: 'SmartAsses | Assignment',
+    template: 'assignment',
+    data: { subject: normalizedSubject, grade, unit, topic }
+  });
 
-    let result = aiResponse.data.choices[0].message.content;
-    debugLog('🧠 Assignment Generator Output', result);
-    result = result.replace(/[^\x00-\x7F]+/g, '');  // optional clean non-ASCII
+  const record = await createSubmission({
+    teacherId,
+    type: 'assignment',
+    gradeLevel: grade,
+    subject: normalizedSubject,
+    inputs: body,
+    result,
+    standardsCoverage: coverage,
+    format: normalizeFormat(body.format),
+    pdfUrl,
+    usage: reply.usage
+  });
 
-    const pdfFilename = `assignment-${Date.now()}.pdf`;
-    const pdfUrl = await generatePDF(result, pdfFilename);
+  return { record, result, coverage, pdfUrl, usage: reply.usage };
+}
+
+app.post('/assignment', requireAuth, async (req, res) => {
+  const { subject, grade, unit, topic } = req.body;
+
+  debugLog('🟢 Assignment Generator Request', req.body);
 
-    res.json({ success: true, result, pdfUrl });
+  if (!subject || !grade || !unit || !topic) {
+    return res.status(400).json({ error: 'Subject, grade, unit title, and topic are required.' });
+  }
+  if (!checkGenerationInputs(req, res, 'subject')) return;
+
+  if (wantsAsync(req)) {
+    const job = await enqueue(req.teacher.id, 'assignment', req.body);
+    return res.status(202).json({ success: true, jobId: job.id, statusUrl: `/jobs/${job.id}` });
+  }
+
+  try {
+    const { record, result, coverage, pdfUrl, usage } = await generateAssignment(req.teacher.id, req.body);
+    res.json({ success: true, submissionId: record.id, result, coverage, pdfUrl, usage });
   } catch (err) {
     console.error('🔥 Error during assignment generation:', err);
     res.status(500).json({ error: 'Assignment generation failed.' });
   }
 });
 
+// ---------------- STREAMING (SSE) ----------------
+// POST variants of the generators that stream model output as `token` events,
+// then send `done` with the stored result and pdfUrl (or `error`). If the client
+// disconnects, the upstream completion is aborted.
+async function streamGeneration(req, res, label, generate) {
+  const events = openEventStream(req, res);
+  try {
+    const { record, ...output } = await generate({
+      signal: events.signal,
+      onToken: (text) => events.send("token", { text }),
+      onRetry: (reason) => events.send("retry", { reason }),
+      onSample: (sample) => events.send("sample", sample),
+    });
+    events.send("done", { success: true, submissionId: record.id, ...output });
+  } catch (err) {
+    if (events.signal.aborted) return console.log(`🛑 ${label} stream abandoned by client.`);
+    console.error(`🔥 Error during ${label} stream:`, err);
+    const invalid = err instanceof GradingValidationError;
+    events.send("error", {
+      error: invalid ? "Model returned an invalid grading result." : `${label} failed.`,
+      details: invalid ? err.errors : undefined,
+    });
+  } finally {
+    events.close();
+  }
+}
+
+app.post("/lessonplan/stream", requireAuth, async (req, res) => {
+  const { class: subject, grade, unit } = req.body || {};
+  if (!subject || !grade || !unit) {
+    return res.status(400).json({ error: "Subject, grade, and unit title are required." });
+  }
+  if (!checkGenerationInputs(req, res, "class")) return;
+  await streamGeneration(req, res, "Lesson plan generation", (opts) =>
+    generateLessonPlan(req.teacher.id, req.body, opts));
+});
+
+app.post("/assignment/stream", requireAuth, async (req, res) => {
+  const { subject, grade, unit, topic } = req.body || {};
+  if (!subject || !grade || !unit || !topic) {
+    return res.status(400).json({ error: "Subject, grade, unit title, and topic are required." });
+  }
+  if (!checkGenerationInputs(req, res, "subject")) return;
+  await streamGeneration(req, res, "Assignment generation", (opts) =>
+    generateAssignment(req.teacher.id, req.body, opts));
+});
+
+// Text mode only: the streamed tokens are the grader's JSON; `done` carries the validated result.
+// In consistency mode a `sample` event starts each sample's tokens.
+app.post("/grade/stream", requireAuth, async (req, res) => {
+  const { intensity, submission, rubricId, subject, transcriptId, format } = req.body || {};
+  if (submission != null && typeof submission !== "string") {
+    return res.status(400).json({ error: "'submission' must be text." });
+  }
+  if (!transcriptId && (!submission || !submission.trim())) {
+    return res.status(400).json({ error: "Assignment text is required." });
+  }
+
+  let context;
+  let consistency;
+  try {
+    context = await resolveGradingContext(req.teacher.id, req.body);
+    if (rubricId) await getRubric(req.teacher.id, rubricId);
+    if (transcriptId) assertGradable(await getTranscript(req.teacher.id, transcriptId));
+    normalizeFormat(format);
+    normalizeIntensity(intensity);
+    consistency = normalizeConsistency(req.body || {});
+  } catch (err) {
+    if (
+      err instanceof RosterError || err instanceof RubricError || err instanceof ExportError ||
+      err instanceof TranscriptionError || err instanceof IntensityError || err instanceof ConsistencyError
+    ) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    throw err;
+  }
+
+  await streamGeneration(req, res, "Grading", (opts) =>
+    gradeTextSubmission({
+      teacherId: req.teacher.id,
+      submission,
+      transcriptId,
+      gradeLevel: context.gradeLevel,
+      intensity,
+      subject: subject || context.assignment?.subject,
+      rubricId,
+      format,
+      consistency,
+      rosterRefs: {
+        studentId: context.student?.id || null,
+        assignmentId: context.assignment?.id || null,
+        classId: context.class?.id || null,
+      },
+      ...opts,
+    }).then(({ gradingResult, ...rest }) => ({ ...rest, result: gradingResult })));
+});
+
+// ---------------- BACKGROUND JOBS ----------------
+registerHandler("grade", async (input, { teacherId, signal, reportProgress }) => {
+  await reportProgress({ message: "Grading submission" });
+  const args = { teacherId, ...input, signal };
+  // Jobs queued before multi-photo uploads carry a single `file`.
+  if (input.file) args.files = [input.file];
+  const { record, gradingResult, pdfUrl, usage } = args.files
+    ? await gradeFileSubmission(args)
+    : await gradeTextSubmission(args);
+  return { submissionId: record.id, result: gradingResult, pdfUrl, usage };
+}, {
+  // The job owns its uploaded pages, whether it succeeded, failed or was cancelled.
+  onFinish: (input) => removeFiles(input.files || (input.file ? [input.file] : [])),
+});
+
+registerHandler("lessonplan", async (input, { teacherId, signal, reportProgress }) => {
+  await reportProgress({ message: "Generating lesson plan" });
+  const { record, result, coverage, pdfUrl, usage } = await generateLessonPlan(teacherId, input, { signal });
+  return { submissionId: record.id, result, coverage, pdfUrl, usage };
+});
+
+registerHandler("assignment", async (input, { teacherId, signal, reportProgress }) => {
+  await reportProgress({ message: "Generating assignment" });
+  const { record, result, coverage, pdfUrl, usage } = await generateAssignment(teacherId, input, { signal });
+  return { submissionId: record.id, result, coverage, pdfUrl, usage };
+});
+
+registerHandler("batch", async ({ batchId }, { signal, reportProgress }) => {
+  const batch = await runBatch(batchId, gradeBatchFile, {
+    signal,
+    onProgress: ({ done, total, current }) =>
+      reportProgress({ message: `Grading ${current || "files"}`, done, total, percent: Math.round((done / total) * 100) }),
+  });
+  return { batchId, batch: summarizeBatch(batch) };
+}, {
+  onFinish: ({ batchId }) => closeBatch(batchId),
+});
 
 app.listen(PORT, () => {
   console.log(`✅ Server is running at http://localhost:${PORT}`);
+  loadStandardsCatalog();
+  restoreJobs().catch((err) => console.error("🔥 Failed to restore jobs:", err));
+  startSweeper();
 });
@@ -0,0 +1,403 @@
+// Class analytics built from stored grading results (lib/submissions). Teacher-reviewed
+// results (lib/review) count with the teacher's scores, not the AI's.
+//
+// Rubric components are averaged in rubric points and as a share of the rubric's top
+// score, so classes graded on different scales still compare. Standards are scored
+// from the grader's alignment status: demonstrated = 1, partial = 0.5, missing = 0;
+// a student is below mastery on a standard when their average is under
+// ANALYTICS_MASTERY_THRESHOLD (default 0.75).
+
+const { listSubmissions } = require("./submissions");
+const { getRecord, listRecords } = require("./roster");
+
+const MASTERY_THRESHOLD = parseFloat(process.env.ANALYTICS_MASTERY_THRESHOLD) || 0.75;
+const STATUS_MASTERY = { demonstrated: 1, partial: 0.5, missing: 0 };
+const INTERVALS = ["week", "month"];
+const DEFAULT_BINS = 10;
+const MAX_BINS = 50;
+
+class AnalyticsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AnalyticsError";
+    this.status = status;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function mean(values) {
+  return values.length ? round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return round(sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function studentName(student) {
+  return `${student.firstName} ${student.lastName}`.trim();
+}
+
+function isValidDate(value) {
+  return !value || !isNaN(new Date(value).getTime());
+}
+
+/** Query filters shared by every analytics view: from, to (ISO dates), subject, assignmentId. */
+function normalizeFilters({ from, to, subject, assignmentId } = {}) {
+  if (!isValidDate(from) || !isValidDate(to)) throw new AnalyticsError("'from' and 'to' must be valid dates.");
+  return { from: from || undefined, to: to || undefined, subject: subject || undefined, assignmentId: assignmentId || undefined };
+}
+
+function normalizeInterval(value) {
+  const interval = value ? String(value).toLowerCase() : "week";
+  if (!INTERVALS.includes(interval)) throw new AnalyticsError(`'interval' must be one of: ${INTERVALS.join(", ")}.`);
+  return interval;
+}
+
+function normalizeThreshold(value) {
+  if (value === undefined || value === "") return MASTERY_THRESHOLD;
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+    throw new AnalyticsError("'threshold' must be a number above 0 and at most 1.");
+  }
+  return threshold;
+}
+
+function normalizeBins(value) {
+  if (value === undefined || value === "") return DEFAULT_BINS;
+  const bins = Number(value);
+  if (!Number.isInteger(bins) || bins < 1 || bins > MAX_BINS) {
+    throw new AnalyticsError(`'bins' must be an integer from 1 to ${MAX_BINS}.`);
+  }
+  return bins;
+}
+
+// Structured gradings matching the filters, oldest first.
+async function loadGradings(teacherId, filters) {
+  const records = await listSubmissions(teacherId, { ...filters, type: "grade" });
+  return records.filter((r) => Array.isArray(r.result?.components) && r.result.maxScore).reverse();
+}
+
+function overallPercent(grading) {
+  return grading.result.overallScore / grading.result.maxScore;
+}
+
+function summarizeGradings(gradings) {
+  return {
+    gradings: gradings.length,
+    students: new Set(gradings.map((g) => g.studentId).filter(Boolean)).size,
+    averageScore: mean(gradings.map((g) => g.result.overallScore)),
+    averagePercent: mean(gradings.map(overallPercent)),
+    reviewed: gradings.filter((g) => g.reviewStatus === "teacher-reviewed").length,
+  };
+}
+
+// Rubrics can reuse codes, so components are told apart by rubric and code.
+function componentKey(grading, component) {
+  return `${grading.result.rubric?.id || ""}\u0000${component.code}`;
+}
+
+function byComponent(a, b) {
+  return (a.rubricName || "").localeCompare(b.rubricName || "") || a.code.localeCompare(b.code);
+}
+
+/**
+ * Average per rubric component:
+ * { rubricId, rubricName, code, name, count, average (rubric points), percent (0-1) }.
+ */
+function averageByRubric(gradings) {
+  const byCode = new Map();
+  for (const g of gradings) {
+    for (const c of g.result.components) {
+      const key = componentKey(g, c);
+      if (!byCode.has(key)) {
+        byCode.set(key, { rubricId: g.result.rubric?.id || null, rubricName: g.result.rubric?.name || null, code: c.code, name: c.name, scores: [], percents: [] });
+      }
+      const entry = byCode.get(key);
+      entry.scores.push(c.score);
+      entry.percents.push(c.score / g.result.maxScore);
+    }
+  }
+  return [...byCode.values()]
+    .map(({ scores, percents, ...c }) => ({ ...c, count: scores.length, average: mean(scores), percent: mean(percents) }))
+    .sort(byComponent);
+}
+
+/** Average mastery (0-1) per standard code, with how often each alignment status was given. */
+function averageByStandard(gradings) {
+  const byCode = new Map();
+  for (const g of gradings) {
+    for (const s of g.result.standardsAlignment || []) {
+      if (!(s.status in STATUS_MASTERY)) continue;
+      if (!byCode.has(s.code)) {
+        byCode.set(s.code, { code: s.code, description: s.description, values: [], demonstrated: 0, partial: 0, missing: 0 });
+      }
+      const entry = byCode.get(s.code);
+      entry.values.push(STATUS_MASTERY[s.status]);
+      entry[s.status]++;
+    }
+  }
+  return [...byCode.values()]
+    .map(({ values, ...s }) => ({ ...s, count: values.length, mastery: mean(values) }))
+    .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+// Start of the week (Monday) or month of an ISO timestamp, as YYYY-MM-DD.
+function periodOf(createdAt, interval) {
+  const date = new Date(createdAt);
+  if (interval === "month") return `${createdAt.slice(0, 7)}-01`;
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+/** Averages per week or month, oldest first: overall percent, rubric components and standards. */
+function buildTrend(gradings, interval) {
+  const periods = new Map();
+  for (const g of gradings) {
+    const period = periodOf(g.createdAt, interval);
+    if (!periods.has(period)) periods.set(period, []);
+    periods.get(period).push(g);
+  }
+  return [...periods.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([period, list]) => ({
+      period,
+      gradings: list.length,
+      averagePercent: mean(list.map(overallPercent)),
+      rubric: averageByRubric(list).map(({ rubricId, code, percent }) => ({ rubricId, code, percent })),
+      standards: Object.fromEntries(averageByStandard(list).map((s) => [s.code, s.mastery])),
+    }));
+}
+
+function describeClass(klass) {
+  return { id: klass.id, name: klass.name, gradeLevel: klass.gradeLevel, subject: klass.subject || null, period: klass.period || null };
+}
+
+/**
+ * Class overview: averages per rubric code and standard for the whole class and for
+ * every student on the roster (students without gradings are listed with no averages).
+ */
+async function classAnalytics(teacherId, classId, query = {}) {
+  const klass = await getRecord(teacherId, "classes", classId);
+  const filters = normalizeFilters(query);
+  const gradings = await loadGradings(teacherId, { ...filters, classId });
+  const students = await listRecords(teacherId, "students", { classId });
+
+  return {
+    class: describeClass(klass),
+    filters,
+    overview: summarizeGradings(gradings),
+    rubric: averageByRubric(gradings),
+    standards: averageByStandard(gradings),
+    students: students
+      .map((student) => {
+        const own = gradings.filter((g) => g.studentId === student.id);
+        return {
+          id: student.id,
+          name: studentName(student),
+          gradings: own.length,
+          averagePercent: mean(own.map(overallPercent)),
+          rubric: averageByRubric(own),
+          standards: averageByStandard(own),
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+/** One student's averages per rubric code and standard, plus their trend over time. */
+async function studentAnalytics(teacherId, studentId, query = {}) {
+  const student = await getRecord(teacherId, "students", studentId);
+  const filters = normalizeFilters(query);
+  const interval = normalizeInterval(query.interval);
+  const gradings = await loadGradings(teacherId, { ...filters, studentId });
+
+  return {
+    student: { id: student.id, name: studentName(student), classId: student.classId },
+    filters,
+    overview: summarizeGradings(gradings),
+    rubric: averageByRubric(gradings),
+    standards: averageByStandard(gradings),
+    trend: { interval, periods: buildTrend(gradings, interval) },
+  };
+}
+
+async function classTrends(teacherId, classId, query = {}) {
+  const klass = await getRecord(teacherId, "classes", classId);
+  const filters = normalizeFilters(query);
+  const interval = normalizeInterval(query.interval);
+  const gradings = await loadGradings(teacherId, { ...filters, classId });
+  return { class: describeClass(klass), filters, interval, periods: buildTrend(gradings, interval) };
+}
+
+/**
+ * Score distribution for one assignment: overall scores as a percent histogram with
+ * `bins` equal-width bins, summary statistics, and score counts per rubric code.
+ * A student graded more than once counts with their latest grading only.
+ */
+async function assignmentDistribution(teacherId, assignmentId, query = {}) {
+  const assignment = await getRecord(teacherId, "assignments", assignmentId);
+  const filters = normalizeFilters({ ...query, assignmentId });
+  const bins = normalizeBins(query.bins);
+  const all = await loadGradings(teacherId, filters);
+  const latest = new Map();
+  all.forEach((g, i) => latest.set(g.studentId || `grading-${i}`, g));
+  const gradings = [...latest.values()];
+
+  const percents = gradings.map((g) => Math.round(overallPercent(g) * 1000) / 10);
+  const histogram = Array.from({ length: bins }, (_, i) => ({
+    from: round((100 / bins) * i),
+    to: round((100 / bins) * (i + 1)),
+    count: 0,
+  }));
+  percents.forEach((p) => histogram[Math.min(Math.floor((p / 100) * bins), bins - 1)].count++);
+
+  const components = new Map();
+  for (const g of gradings) {
+    for (const c of g.result.components) {
+      const key = componentKey(g, c);
+      if (!components.has(key)) {
+        components.set(key, { rubricId: g.result.rubric?.id || null, rubricName: g.result.rubric?.name || null, code: c.code, name: c.name, counts: {} });
+      }
+      const counts = components.get(key).counts;
+      counts[c.score] = (counts[c.score] || 0) + 1;
+    }
+  }
+
+  return {
+    assignment: { id: assignment.id, title: assignment.title, classId: assignment.classId },
+    filters,
+    count: gradings.length,
+    percent: {
+      mean: mean(percents),
+      median: median(percents),
+      min: percents.length ? Math.min(...percents) : null,
+      max: percents.length ? Math.max(...percents) : null,
+    },
+    bins: histogram,
+    components: [...components.values()].sort(byComponent),
+  };
+}
+
+/**
+ * Students in a class whose average on `standardCode` is below the mastery threshold,
+ * lowest first. Students never assessed on the standard are listed separately.
+ */
+async function belowMastery(teacherId, classId, standardCode, query = {}) {
+  if (!standardCode) throw new AnalyticsError("'standard' is required.");
+  const klass = await getRecord(teacherId, "classes", classId);
+  const filters = normalizeFilters(query);
+  const threshold = normalizeThreshold(query.threshold);
+  const gradings = await loadGradings(teacherId, { ...filters, classId });
+  const students = await listRecords(teacherId, "students", { classId });
+
+  const below = [];
+  const notAssessed = [];
+  let description = null;
+  for (const student of students) {
+    const entries = gradings
+      .filter((g) => g.studentId === student.id)
+      .flatMap((g) => (g.result.standardsAlignment || [])
+        .filter((s) => s.code === standardCode && s.status in STATUS_MASTERY)
+        .map((s) => ({ ...s, createdAt: g.createdAt, submissionId: g.id })));
+    if (!entries.length) {
+      notAssessed.push({ id: student.id, name: studentName(student) });
+      continue;
+    }
+    description = description || entries[0].description;
+
+    const mastery = mean(entries.map((s) => STATUS_MASTERY[s.status]));
+    if (mastery >= threshold) continue;
+    const last = entries[entries.length - 1];
+    below.push({
+      id: student.id,
+      name: studentName(student),
+      mastery,
+      assessed: entries.length,
+      latestStatus: last.status,
+      latestEvidence: last.evidence,
+      lastAssessedAt: last.createdAt,
+      submissionId: last.submissionId,
+    });
+  }
+
+  return {
+    class: describeClass(klass),
+    standard: { code: standardCode, description },
+    threshold,
+    filters,
+    students: below.sort((a, b) => a.mastery - b.mastery || a.name.localeCompare(b.name)),
+    notAssessed: notAssessed.sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+function percentText(value) {
+  return value === null ? "-" : `${Math.round(value * 100)}%`;
+}
+
+// Table cells are plain text; pipes would split a cell.
+function cell(value) {
+  return String(value ?? "-").replace(/\|/g, "/").replace(/\s+/g, " ");
+}
+
+function table(header, rows) {
+  return [
+    `| ${header.map(cell).join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`,
+    ...rows.map((r) => `| ${r.map(cell).join(" | ")} |`),
+  ].join("\n");
+}
+
+/** Markdown for the printable class summary (rendered by the classSummary PDF template). */
+function renderClassSummaryMarkdown(analytics, { threshold = MASTERY_THRESHOLD } = {}) {
+  const { rubric, standards, students } = analytics;
+  const sections = [];
+
+  sections.push("## Rubric Components");
+  sections.push(rubric.length
+    ? table(
+      ["Rubric", "Code", "Component", "Scored", "Average", "Percent"],
+      rubric.map((c) => [c.rubricName, c.code, c.name, c.count, c.average, percentText(c.percent)])
+    )
+    : "_No graded work in this period._");
+
+  sections.push("## Standards");
+  sections.push(standards.length
+    ? table(
+      ["Code", "Standard", "Assessed", "Demonstrated", "Partial", "Missing", "Mastery"],
+      standards.map((s) => [s.code, s.description, s.count, s.demonstrated, s.partial, s.missing, percentText(s.mastery)])
+    )
+    : "_No standards were assessed in this period._");
+
+  sections.push("## Students");
+  sections.push(students.length
+    ? table(
+      ["Student", "Gradings", "Average", `Standards below ${percentText(threshold)}`],
+      students.map((s) => [
+        s.name,
+        s.gradings,
+        percentText(s.averagePercent),
+        s.standards.filter((x) => x.mastery < threshold).map((x) => x.code).join(", ") || "-",
+      ])
+    )
+    : "_No students on the roster._");
+
+  return sections.join("\n\n");
+}
+
+module.exports = {
+  AnalyticsError,
+  MASTERY_THRESHOLD,
+  normalizeThreshold,
+  classAnalytics,
+  studentAnalytics,
+  classTrends,
+  assignmentDistribution,
+  belowMastery,
+  renderClassSummaryMarkdown,
+};
@@ -0,0 +1,186 @@
+// Teacher accounts and session tokens.
+//
+// Passwords are hashed with bcrypt. Sessions are opaque random tokens; only their
+// SHA-256 hash is stored, so a leaked database cannot be replayed as logins.
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { getDb } = require("./db");
+
+const SESSION_COOKIE = "smartasses_session";
+// Frontends allowed to call the API with the session cookie (also the CORS allow-list).
+const TRUSTED_ORIGINS = (process.env.TRUSTED_ORIGINS
+  || "https://smartassesgrader-wz54.onrender.com,http://localhost:3000,http://127.0.0.1:3000")
+  .split(",").map((o) => o.trim()).filter(Boolean);
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7) * 60 * 60 * 1000;
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Compared against when the email is unknown so response timing doesn't reveal accounts.
+const DUMMY_HASH = bcrypt.hashSync("smartasses-dummy-password", BCRYPT_ROUNDS);
+
+class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function publicTeacher(teacher) {
+  const { passwordHash, ...rest } = teacher;
+  return rest;
+}
+
+async function registerTeacher({ email, password, name, signupCode }) {
+  const normalized = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) throw new AuthError("A valid email is required.");
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+  if (process.env.TEACHER_SIGNUP_CODE && signupCode !== process.env.TEACHER_SIGNUP_CODE) {
+    throw new AuthError("Invalid signup code.", 403);
+  }
+
+  const db = await getDb();
+  if (db.data.teachers.some((t) => t.email === normalized)) {
+    throw new AuthError("An account with this email already exists.", 409);
+  }
+
+  const teacher = {
+    id: crypto.randomUUID(),
+    email: normalized,
+    name: String(name || "").trim() || normalized,
+    passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+    createdAt: new Date().toISOString(),
+  };
+  await db.update(({ teachers }) => teachers.push(teacher));
+  return publicTeacher(teacher);
+}
+
+async function createSession(teacherId) {
+  const db = await getDb();
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = Date.now();
+
+  await db.update((data) => {
+    // Drop expired sessions opportunistically.
+    data.sessions = data.sessions.filter((s) => new Date(s.expiresAt).getTime() > now);
+    data.sessions.push({
+      tokenHash: hashToken(token),
+      teacherId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_TTL_MS).toISOString(),
+    });
+  });
+
+  return { token, expiresAt: new Date(now + SESSION_TTL_MS).toISOString() };
+}
+
+async function login({ email, password }) {
+  const db = await getDb();
+  const teacher = db.data.teachers.find((t) => t.email === normalizeEmail(email));
+  const ok = await bcrypt.compare(String(password || ""), teacher ? teacher.passwordHash : DUMMY_HASH);
+  if (!teacher || !ok) throw new AuthError("Invalid email or password.", 401);
+
+  const session = await createSession(teacher.id);
+  return { teacher: publicTeacher(teacher), ...session };
+}
+
+async function logout(token) {
+  const db = await getDb();
+  const tokenHash = hashToken(token);
+  await db.update((data) => {
+    data.sessions = data.sessions.filter((s) => s.tokenHash !== tokenHash);
+  });
+}
+
+async function findTeacherByToken(token) {
+  if (!token) return null;
+  const db = await getDb();
+  const tokenHash = hashToken(token);
+  const session = db.data.sessions.find((s) => s.tokenHash === tokenHash);
+  if (!session || new Date(session.expiresAt).getTime() <= Date.now()) return null;
+
+  const teacher = db.data.teachers.find((t) => t.id === session.teacherId);
+  return teacher ? publicTeacher(teacher) : null;
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+function bearerToken(req) {
+  const match = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// The request's Origin, or the origin of its Referer when a browser left Origin out.
+function requestOrigin(req) {
+  if (req.headers.origin) return req.headers.origin;
+  try {
+    return req.headers.referer ? new URL(req.headers.referer).origin : null;
+  } catch {
+    return null;
+  }
+}
+
+function sessionCookie(token, expiresAt) {
+  // The frontend is served from another origin in production, which needs SameSite=None.
+  const crossSite = process.env.NODE_ENV === "production";
+  const attrs = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    "Path=/",
+    "HttpOnly",
+    crossSite ? "SameSite=None; Secure" : "SameSite=Lax",
+    expiresAt ? `Expires=${new Date(expiresAt).toUTCString()}` : "Max-Age=0",
+  ];
+  return attrs.join("; ");
+}
+
+/**
+ * Authenticates with the Bearer header or, failing that, the session cookie. The cookie
+ * is sent on cross-site requests too (SameSite=None in production), so a state-changing
+ * request authenticated by it must come from a trusted origin; otherwise any page could
+ * post uploads to /grade in the teacher's name.
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const bearer = bearerToken(req);
+    if (!bearer && !SAFE_METHODS.includes(req.method) && !TRUSTED_ORIGINS.includes(requestOrigin(req))) {
+      return res.status(403).json({ error: "Cross-site request rejected; send the session token as a Bearer header." });
+    }
+    const token = bearer || readCookie(req, SESSION_COOKIE);
+    const teacher = await findTeacherByToken(token);
+    if (!teacher) return res.status(401).json({ error: "Authentication required." });
+    req.teacher = teacher;
+    req.sessionToken = token;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  TRUSTED_ORIGINS,
+  AuthError,
+  registerTeacher,
+  login,
+  logout,
+  requireAuth,
+  sessionCookie,
+};
@@ -0,0 +1,406 @@
+// Batch grading: a ZIP of submissions (optionally with a roster CSV) is unpacked,
+// each file is graded in turn and progress is recorded per file.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const AdmZip = require("adm-zip");
+const { getDb } = require("./db");
+const { FORMATS, detectFormat } = require("./extract");
+
+const MAX_FILES = parseInt(process.env.BATCH_MAX_FILES, 10) || 200;
+const MAX_UNZIPPED_BYTES = (parseInt(process.env.BATCH_MAX_UNZIPPED_MB, 10) || 500) * 1024 * 1024;
+
+// Every extension lib/extract reads, except nested archives.
+const SUPPORTED_EXTENSIONS = Object.values(FORMATS).flatMap((f) => f.extensions).filter((ext) => ext !== ".zip");
+
+class BatchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "BatchError";
+    this.status = status;
+  }
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some((c) => c.trim())) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some((c) => c.trim())) rows.push(row);
+  return rows;
+}
+
+function csvCell(value) {
+  const s = value == null ? "" : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+function normalizeHeader(h) {
+  return h.trim().toLowerCase().replace(/[^a-z]/g, "");
+}
+
+/**
+ * Roster CSV: a header row with a `filename` column plus any of `studentId`,
+ * `studentNumber`, or `firstName` + `lastName`. Returns a Map keyed by lowercase filename.
+ */
+function parseRosterCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return new Map();
+
+  const cols = header.map(normalizeHeader);
+  const fileCol = cols.findIndex((c) => c === "filename" || c === "file");
+  if (fileCol === -1) throw new BatchError("Roster CSV needs a 'filename' column.");
+
+  const col = (name) => cols.indexOf(name.toLowerCase());
+  const get = (row, name) => (col(name) === -1 ? "" : (row[col(name)] || "").trim());
+
+  const map = new Map();
+  for (const row of rows) {
+    const fileName = (row[fileCol] || "").trim();
+    if (!fileName) continue;
+    map.set(path.basename(fileName).toLowerCase(), {
+      studentId: get(row, "studentid"),
+      studentNumber: get(row, "studentnumber"),
+      firstName: get(row, "firstname"),
+      lastName: get(row, "lastname"),
+    });
+  }
+  return map;
+}
+
+// Finds the teacher's student a roster row refers to.
+function matchStudent(students, ref) {
+  if (!ref) return null;
+  const same = (a, b) => a && b && a.toLowerCase() === b.toLowerCase();
+  return students.find((s) => ref.studentId && s.id === ref.studentId)
+    || students.find((s) => same(s.studentNumber, ref.studentNumber))
+    || students.find((s) => same(s.firstName, ref.firstName) && same(s.lastName, ref.lastName))
+    || null;
+}
+
+function isIgnoredEntry(name) {
+  return name.split("/").some((part) => part.startsWith(".") || part === "__MACOSX");
+}
+
+// Decompresses one entry, reading at most `limit` bytes. The sizes in the ZIP headers
+// are the uploader's word, so the limit is enforced on the bytes actually inflated.
+// Returns null for entries that cannot be read (encrypted, unknown method, corrupt).
+function readEntry(entry, limit) {
+  const { method, flags } = entry.header;
+  if (flags & 1) return null;
+
+  let data;
+  try {
+    const raw = entry.getCompressedData();
+    if (method === 0) data = raw;
+    else if (method === 8) data = zlib.inflateRawSync(raw, { maxOutputLength: limit + 1 });
+    else return null;
+  } catch (err) {
+    if (err.code === "ERR_BUFFER_TOO_LARGE") throw new BatchError("ZIP contents are too large.", 413);
+    return null;
+  }
+  if (data.length > limit) throw new BatchError("ZIP contents are too large.", 413);
+  return data;
+}
+
+/**
+ * Unpacks the supported files of a ZIP into `destDir`. A roster CSV found inside the
+ * archive is returned as text unless one was uploaded separately.
+ */
+function extractArchive(zipPath, destDir) {
+  let zip;
+  try {
+    zip = new AdmZip(zipPath);
+  } catch (err) {
+    throw new BatchError("The uploaded file is not a valid ZIP archive.");
+  }
+
+  const entries = zip.getEntries().filter((e) => !e.isDirectory && !isIgnoredEntry(e.entryName));
+  const candidates = entries.filter((e) => SUPPORTED_EXTENSIONS.includes(path.extname(e.entryName).toLowerCase()));
+  if (candidates.length > MAX_FILES) throw new BatchError(`A batch can contain at most ${MAX_FILES} files.`, 413);
+
+  fs.mkdirSync(destDir, { recursive: true });
+
+  const files = [];
+  const skipped = [];
+  let rosterCsv = null;
+  let unzipped = 0;
+
+  entries.forEach((entry, i) => {
+    const name = path.basename(entry.entryName);
+    const ext = path.extname(name).toLowerCase();
+    const isCsv = ext === ".csv";
+    if (!isCsv && !SUPPORTED_EXTENSIONS.includes(ext)) {
+      skipped.push(name);
+      return;
+    }
+
+    const data = readEntry(entry, MAX_UNZIPPED_BYTES - unzipped);
+    if (!data) {
+      skipped.push(name);
+      return;
+    }
+    unzipped += data.length;
+    if (isCsv) {
+      rosterCsv = data.toString("utf8");
+      return;
+    }
+
+    // Entry names are never used as paths directly, so "../" tricks can't escape destDir.
+    const filePath = path.join(destDir, `${i}-${name.replace(/[^\w.\- ]/g, "_")}`);
+    fs.writeFileSync(filePath, data);
+
+    // The content decides: a renamed or corrupt file is skipped rather than sent to a model.
+    const format = detectFormat(filePath, name);
+    if (!format) {
+      fs.rmSync(filePath, { force: true });
+      skipped.push(name);
+      return;
+    }
+    files.push({ name, path: filePath, format, kind: FORMATS[format].kind === "document" ? "text" : "file" });
+  });
+
+  if (!files.length) throw new BatchError("The ZIP contains no gradable files (PDFs, images or text documents).");
+
+  return { files, skipped, rosterCsv };
+}
+
+async function createBatch({
+  teacherId,
+  zipPath,
+  rosterCsv,
+  gradeLevel,
+  intensity,
+  rubricId,
+  format,
+  assignmentId,
+  classId,
+  workDir,
+}) {
+  const db = await getDb();
+  const extracted = extractArchive(zipPath, workDir);
+  const roster = parseRosterCsv(rosterCsv || extracted.rosterCsv || "");
+
+  const students = db.data.students.filter((s) => s.teacherId === teacherId
+    && (!classId || s.classId === classId));
+
+  const batch = {
+    id: crypto.randomUUID(),
+    teacherId,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    options: {
+      gradeLevel: gradeLevel || null,
+      intensity: intensity || null,
+      rubricId: rubricId || null,
+      format: format || null,
+      assignmentId: assignmentId || null,
+      classId: classId || null,
+    },
+    workDir,
+    skipped: extracted.skipped,
+    files: extracted.files.map((f) => {
+      const ref = roster.get(f.name.toLowerCase());
+      const student = matchStudent(students, ref);
+      return {
+        name: f.name,
+        path: f.path,
+        kind: f.kind,
+        format: f.format,
+        studentId: student?.id || null,
+        studentName: student ? `${student.firstName} ${student.lastName}` : null,
+        status: "pending",
+        warning: ref && !student ? "Roster entry did not match a student." : null,
+        error: null,
+        submissionId: null,
+        pdfUrl: null,
+        overallScore: null,
+        componentScores: null,
+      };
+    }),
+  };
+
+  await db.update(({ batches }) => batches.push(batch));
+  return batch;
+}
+
+async function getBatch(teacherId, id) {
+  const db = await getDb();
+  return db.data.batches.find((b) => b.id === id && b.teacherId === teacherId) || null;
+}
+
+// What a batch entry keeps of the submission it produced.
+function fileResult(record) {
+  return {
+    submissionId: record.id,
+    pdfUrl: record.pdfUrl,
+    overallScore: record.scores?.overall ?? null,
+    componentScores: record.scores?.components || null,
+  };
+}
+
+/**
+ * Grades every pending file of a batch with `gradeEntry(batch, file, signal)`, which
+ * must resolve to `{ record }`. One failing file never stops the rest. Files that were
+ * mid-grading when the server stopped are graded again, so a batch can be resumed.
+ */
+async function runBatch(batchId, gradeEntry, { signal, onProgress } = {}) {
+  const db = await getDb();
+  const batch = db.data.batches.find((b) => b.id === batchId);
+  if (!batch) throw new Error(`Batch ${batchId} not found.`);
+
+  batch.status = "running";
+  batch.files.forEach((f) => { if (f.status === "grading") f.status = "pending"; });
+  await db.write();
+
+  const finished = () => batch.files.filter((f) => f.status === "done" || f.status === "failed").length;
+
+  for (const file of batch.files) {
+    if (file.status !== "pending") continue;
+    if (signal?.aborted) break;
+
+    file.status = "grading";
+    await db.write();
+    if (onProgress) await onProgress({ done: finished(), total: batch.files.length, current: file.name });
+
+    try {
+      const { record } = await gradeEntry(batch, file, signal);
+      Object.assign(file, { status: "done", ...fileResult(record) });
+    } catch (err) {
+      if (signal?.aborted) {
+        file.status = "pending";
+        break;
+      }
+      console.error(`🔥 Batch ${batchId}: ${file.name} failed:`, err.message);
+      Object.assign(file, { status: "failed", error: err.message || "Grading failed." });
+    }
+    await db.write();
+  }
+
+  batch.status = signal?.aborted ? "cancelled" : "completed";
+  batch.finishedAt = new Date().toISOString();
+  await db.write();
+  if (onProgress) await onProgress({ done: finished(), total: batch.files.length, current: null });
+  return batch;
+}
+
+/**
+ * Points the batch entry graded as `record` (if any) at the record's current report and
+ * scores, e.g. after a teacher review (lib/review). Changes `db` in memory; the caller writes.
+ */
+function updateBatchResult(db, record) {
+  for (const batch of db.data.batches) {
+    if (batch.teacherId !== record.teacherId) continue;
+    const file = batch.files.find((f) => f.submissionId === record.id);
+    if (file) Object.assign(file, fileResult(record));
+  }
+}
+
+/**
+ * Deletes a batch's unpacked files once its job has ended. A batch whose job was
+ * cancelled before it started is marked cancelled, one whose run broke off failed.
+ */
+async function closeBatch(batchId) {
+  const db = await getDb();
+  const batch = db.data.batches.find((b) => b.id === batchId);
+  if (!batch) return;
+  if (batch.status === "queued" || batch.status === "running") {
+    batch.status = batch.status === "queued" ? "cancelled" : "failed";
+    batch.finishedAt = new Date().toISOString();
+    await db.write();
+  }
+  fs.rmSync(batch.workDir, { recursive: true, force: true });
+}
+
+function summarizeBatch(batch) {
+  const count = (status) => batch.files.filter((f) => f.status === status).length;
+  const { workDir, teacherId, ...rest } = batch;
+  return {
+    ...rest,
+    files: batch.files.map(({ path: _path, ...f }) => f),
+    progress: {
+      total: batch.files.length,
+      done: count("done"),
+      failed: count("failed"),
+      pending: count("pending") + count("grading"),
+    },
+  };
+}
+
+function summaryCsv(batch) {
+  const codes = [...new Set(batch.files.flatMap((f) => Object.keys(f.componentScores || {})))];
+  const rows = [["file", "student", "studentId", "status", "overallScore", ...codes, "submissionId", "error"]];
+  for (const f of batch.files) {
+    rows.push([
+      f.name,
+      f.studentName || "",
+      f.studentId || "",
+      f.status,
+      f.overallScore ?? "",
+      ...codes.map((c) => f.componentScores?.[c] ?? ""),
+      f.submissionId || "",
+      f.error || f.warning || "",
+    ]);
+  }
+  return toCsv(rows);
+}
+
+// ZIP of every graded report (named after the student when known) plus summary.csv.
+function buildBatchArchive(batch, pdfDir) {
+  const zip = new AdmZip();
+  const used = new Set();
+
+  for (const f of batch.files) {
+    if (f.status !== "done" || !f.pdfUrl) continue;
+    const pdfPath = path.join(pdfDir, path.basename(decodeURIComponent(f.pdfUrl)));
+    if (!fs.existsSync(pdfPath)) continue;
+
+    const base = (f.studentName || path.parse(f.name).name).replace(/[^\w\- ]/g, "_").trim() || "report";
+    const ext = path.extname(pdfPath);
+    let name = `${base}${ext}`;
+    for (let n = 2; used.has(name); n++) name = `${base} (${n})${ext}`;
+    used.add(name);
+
+    zip.addLocalFile(pdfPath, "", name);
+  }
+
+  zip.addFile("summary.csv", Buffer.from(summaryCsv(batch), "utf8"));
+  return zip.toBuffer();
+}
+
+module.exports = {
+  BatchError,
+  createBatch,
+  getBatch,
+  runBatch,
+  closeBatch,
+  summarizeBatch,
+  buildBatchArchive,
+  updateBatchResult,
+  toCsv,
+};
@@ -0,0 +1,111 @@
+// School branding printed on PDF headers and footers.
+//
+// SCHOOL_NAME and SCHOOL_LOGO_PATH set a server-wide default; each teacher can
+// override either with their own school name and uploaded logo. Uploaded logos
+// are normalized to PNG and stored in BRANDING_DIR as <teacherId>.png.
+
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { getDb } = require("./db");
+
+const BRANDING_DIR = process.env.BRANDING_DIR || path.join(__dirname, "..", "data", "branding");
+const MAX_SCHOOL_NAME_LENGTH = 120;
+const LOGO_MAX_SIZE = 400;
+
+class BrandingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "BrandingError";
+    this.status = status;
+  }
+}
+
+function findTeacher(db, teacherId) {
+  const teacher = db.data.teachers.find((t) => t.id === teacherId);
+  if (!teacher) throw new BrandingError("Teacher not found.", 404);
+  return teacher;
+}
+
+function logoPathFor(teacher) {
+  return teacher?.branding?.logoFile ? path.join(BRANDING_DIR, teacher.branding.logoFile) : null;
+}
+
+/**
+ * Effective branding for a teacher's documents: { schoolName, logoPath }.
+ * Either may be null when neither the teacher nor the server configures it.
+ */
+async function getBranding(teacherId) {
+  const db = await getDb();
+  const teacher = db.data.teachers.find((t) => t.id === teacherId);
+  return {
+    schoolName: teacher?.branding?.schoolName || process.env.SCHOOL_NAME || null,
+    logoPath: logoPathFor(teacher) || process.env.SCHOOL_LOGO_PATH || null,
+  };
+}
+
+// API view: the logo itself is served separately.
+async function describeBranding(teacherId) {
+  const { schoolName, logoPath } = await getBranding(teacherId);
+  return { schoolName, hasLogo: Boolean(logoPath && fs.existsSync(logoPath)) };
+}
+
+// `schoolName` null or "" clears the teacher's override.
+async function updateSchoolName(teacherId, schoolName) {
+  if (schoolName !== null && schoolName !== undefined && typeof schoolName !== "string") {
+    throw new BrandingError("'schoolName' must be a string.");
+  }
+  const value = (schoolName || "").trim();
+  if (value.length > MAX_SCHOOL_NAME_LENGTH) {
+    throw new BrandingError(`'schoolName' must be at most ${MAX_SCHOOL_NAME_LENGTH} characters.`);
+  }
+
+  const db = await getDb();
+  const teacher = findTeacher(db, teacherId);
+  teacher.branding = { ...teacher.branding, schoolName: value || null };
+  await db.write();
+  return describeBranding(teacherId);
+}
+
+async function saveLogo(teacherId, buffer) {
+  let png;
+  try {
+    png = await sharp(buffer)
+      .rotate()
+      .resize(LOGO_MAX_SIZE, LOGO_MAX_SIZE, { fit: "inside", withoutEnlargement: true })
+      .png()
+      .toBuffer();
+  } catch (err) {
+    throw new BrandingError("Logo must be a PNG, JPEG or WebP image.", 415);
+  }
+
+  const db = await getDb();
+  const teacher = findTeacher(db, teacherId);
+  const logoFile = `${teacherId}.png`;
+  fs.mkdirSync(BRANDING_DIR, { recursive: true });
+  fs.writeFileSync(path.join(BRANDING_DIR, logoFile), png);
+
+  teacher.branding = { ...teacher.branding, logoFile };
+  await db.write();
+  return describeBranding(teacherId);
+}
+
+async function removeLogo(teacherId) {
+  const db = await getDb();
+  const teacher = findTeacher(db, teacherId);
+  const logoPath = logoPathFor(teacher);
+  if (logoPath) fs.rmSync(logoPath, { force: true });
+
+  teacher.branding = { ...teacher.branding, logoFile: null };
+  await db.write();
+  return describeBranding(teacherId);
+}
+
+module.exports = {
+  BrandingError,
+  getBranding,
+  describeBranding,
+  updateSchoolName,
+  saveLogo,
+  removeLogo,
+};
@@ -0,0 +1,110 @@
+// Calibration harness for the grading intensity profiles (lib/intensity).
+//
+// Anchor papers (calibration/anchors.json) are graded with the same prompt and
+// validation as POST /grade, once per profile, and each overall score is compared with
+// the band the anchor expects for that profile. A paper must also never score higher
+// under a stricter profile. Runs against whatever provider LLM_PROVIDER selects;
+// calibration/mock holds fixtures for the mock provider.
+
+const fs = require("fs");
+const path = require("path");
+const llm = require("./llm");
+const { getRubric } = require("./rubrics");
+const { loadStandardsCatalog, getStandards } = require("./standards");
+const { PROFILES } = require("./intensity");
+const { GRADER_SYSTEM_PROMPT, buildGradingPrompt, requestValidGrading } = require("./grading");
+
+const ANCHORS_FILE = path.join(__dirname, "..", "calibration", "anchors.json");
+const MOCK_FIXTURES_DIR = path.join(__dirname, "..", "calibration", "mock");
+const STRICTNESS = ["lenient", "standard", "rigorous"];
+
+function loadAnchors(file = ANCHORS_FILE) {
+  const { anchors } = JSON.parse(fs.readFileSync(file, "utf8"));
+  anchors.forEach((a, i) => {
+    if (!a.id || !a.text || !a.expected) throw new Error(`Anchor ${a.id || i} needs an id, text and expected bands.`);
+    for (const [profile, band] of Object.entries(a.expected)) {
+      if (!PROFILES[profile]) throw new Error(`Anchor ${a.id}: unknown profile "${profile}".`);
+      if (!Array.isArray(band) || band.length !== 2 || band[0] > band[1]) {
+        throw new Error(`Anchor ${a.id}: the ${profile} band must be [min, max].`);
+      }
+    }
+  });
+  return anchors;
+}
+
+// Grades one anchor under one profile exactly as a typed submission is graded, with the
+// task the paper was written for.
+async function gradeAnchor(anchor, profile) {
+  const rubric = await getRubric(null, anchor.rubricId || "general-writing");
+  if (anchor.subject) loadStandardsCatalog();
+  const standards = anchor.subject ? getStandards({ subject: anchor.subject, grade: anchor.gradeLevel }) : [];
+
+  const messages = [
+    { role: "system", content: GRADER_SYSTEM_PROMPT },
+    {
+      role: "user",
+      content: buildGradingPrompt({
+        rubric,
+        standards,
+        profile,
+        gradeLevel: anchor.gradeLevel,
+        subject: anchor.subject || "Not specified",
+        submission: anchor.text,
+        task: anchor.task || null,
+      }),
+    },
+  ];
+
+  return requestValidGrading(async (correction) => {
+    if (correction) messages.push({ role: "user", content: correction });
+    const reply = await llm.complete({
+      route: "grade",
+      messages,
+      json: true,
+      meta: { rubricCodes: rubric.criteria.map((c) => c.code), standardCodes: standards.map((s) => s.code) },
+    });
+    messages.push({ role: "assistant", content: reply.text });
+    return reply.text;
+  }, rubric, { standards });
+}
+
+/**
+ * Grades every anchor under every profile it has a band for (optionally only the
+ * given `anchorIds` / `profileIds`). Returns `{ passed, results, orderingErrors }`;
+ * `onResult` is called as each grading finishes.
+ */
+async function runCalibration({ anchors = loadAnchors(), anchorIds, profileIds, onResult } = {}) {
+  const results = [];
+  for (const anchor of anchors.filter((a) => !anchorIds?.length || anchorIds.includes(a.id))) {
+    for (const [profileId, [min, max]] of Object.entries(anchor.expected)) {
+      if (profileIds?.length && !profileIds.includes(profileId)) continue;
+
+      const result = { anchor: anchor.id, profile: profileId, expected: [min, max], score: null, passed: false, error: null };
+      try {
+        result.score = (await gradeAnchor(anchor, PROFILES[profileId])).overallScore;
+        result.passed = result.score >= min && result.score <= max;
+      } catch (err) {
+        result.error = err.message;
+      }
+      results.push(result);
+      if (onResult) onResult(result);
+    }
+  }
+
+  // Within one anchor, a stricter profile never gives a higher score.
+  const orderingErrors = [];
+  for (const id of new Set(results.map((r) => r.anchor))) {
+    const scored = STRICTNESS
+      .map((p) => results.find((r) => r.anchor === id && r.profile === p && r.score !== null))
+      .filter(Boolean);
+    for (let i = 1; i < scored.length; i++) {
+      if (scored[i].score > scored[i - 1].score) {
+        orderingErrors.push(`${id}: ${scored[i].profile} (${scored[i].score}) scored above ${scored[i - 1].profile} (${scored[i - 1].score}).`);
+      }
+    }
+  }
+
+  return { passed: results.every((r) => r.passed) && !orderingErrors.length, results, orderingErrors };
+}
+
+module.exports = { ANCHORS_FILE, MOCK_FIXTURES_DIR, loadAnchors, runCalibration };
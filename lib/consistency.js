@@ -0,0 +1,175 @@
+// Consistency mode: a submission is graded several times (optionally by different
+// models) and the samples are combined, so no single model call decides a score.
+//
+// Each component gets the median of its sample scores; the explanation, evidence and
+// suggestions come from a sample that gave that score. The spread of every component
+// is reported, with a confidence label, and components whose samples differ by more
+// than the threshold are flagged for the teacher.
+//
+// Configuration (env):
+//   GRADING_CONSISTENCY_SAMPLES       samples when a request doesn't say (default 3)
+//   GRADING_CONSISTENCY_MAX_SAMPLES   upper limit per request (default 5)
+//   GRADING_CONSISTENCY_MODELS        models to rotate through, e.g.
+//                                     "openai:gpt-4o,openrouter:x-ai/grok-4-fast"
+//                                     (default: the route's own model for every sample)
+//   GRADING_DISAGREEMENT_THRESHOLD    largest spread, in rubric points, not flagged (default 1)
+
+const { resolveRoute, addUsage } = require("./llm");
+
+const DEFAULT_SAMPLES = parseInt(process.env.GRADING_CONSISTENCY_SAMPLES, 10) || 3;
+const MAX_SAMPLES = parseInt(process.env.GRADING_CONSISTENCY_MAX_SAMPLES, 10) || 5;
+const DISAGREEMENT_THRESHOLD = parseFloat(process.env.GRADING_DISAGREEMENT_THRESHOLD) >= 0
+  ? parseFloat(process.env.GRADING_DISAGREEMENT_THRESHOLD)
+  : 1;
+
+class ConsistencyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ConsistencyError";
+    this.status = status;
+  }
+}
+
+// "provider:model" entries, as a list or a comma-separated string, checked against the
+// LLM route the samples go through. Without a model the provider's model for the route
+// is used.
+function parseModels(value, route) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return list.map((s) => String(s).trim()).filter(Boolean).map((entry) => {
+    const sep = entry.indexOf(":");
+    const provider = sep === -1 ? entry : entry.slice(0, sep);
+    const model = sep === -1 ? undefined : entry.slice(sep + 1) || undefined;
+    try {
+      resolveRoute(route, { provider, model });
+      return model ? { provider, model } : { provider };
+    } catch (err) {
+      throw new ConsistencyError(`Invalid consistency model "${entry}": ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Consistency options from a grading request, or null when the mode is off.
+ * `consistency` is true or a number of samples; `consistencyModels` lists
+ * "provider:model" entries to rotate through. `route` is the LLM route the submission
+ * is graded on ("grade" for text, "gradeVision" for page images).
+ */
+function normalizeConsistency({ consistency, consistencyModels } = {}, route = "grade") {
+  if (consistency === undefined || consistency === null || consistency === false || consistency === "false" || consistency === "") {
+    if (consistencyModels?.length) throw new ConsistencyError(`"consistencyModels" needs "consistency" to be on.`);
+    return null;
+  }
+
+  const samples = consistency === true || consistency === "true" ? DEFAULT_SAMPLES : Number(consistency);
+  if (!Number.isInteger(samples) || samples < 2 || samples > MAX_SAMPLES) {
+    throw new ConsistencyError(`"consistency" must be true or a number of samples from 2 to ${MAX_SAMPLES}.`);
+  }
+
+  const models = parseModels(consistencyModels || process.env.GRADING_CONSISTENCY_MODELS, route);
+  return { samples, models, threshold: DISAGREEMENT_THRESHOLD };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function confidenceOf(spread, threshold) {
+  if (spread === 0) return "high";
+  return spread <= threshold ? "medium" : "low";
+}
+
+/**
+ * Runs `gradeOnce({ provider, model })` `options.samples` times, rotating through
+ * `options.models`, and combines the results with aggregateSamples. A failed sample is
+ * skipped as long as one succeeds; cancellation stops everything.
+ * Resolves to `{ gradingResult, usage }`.
+ */
+async function gradeConsistently(gradeOnce, rubric, options) {
+  const samples = [];
+  let usage;
+  let lastError;
+
+  for (let i = 0; i < options.samples; i++) {
+    const target = options.models.length ? options.models[i % options.models.length] : {};
+    try {
+      const sample = await gradeOnce(target);
+      usage = addUsage(usage, sample.usage);
+      samples.push({ result: sample.gradingResult, provider: sample.provider, model: sample.model });
+    } catch (err) {
+      if (err.name === "AbortError" || err.code === "ERR_CANCELED") throw err;
+      console.warn(`⚠️ Consistency sample ${i + 1}/${options.samples} failed:`, err.message);
+      lastError = err;
+    }
+  }
+  if (!samples.length) throw lastError;
+
+  return {
+    gradingResult: aggregateSamples(samples, rubric, { requested: options.samples, threshold: options.threshold }),
+    usage,
+  };
+}
+
+/**
+ * One grading result from several validated samples (`[{ result, provider, model }]`),
+ * with a `consistency` summary and a `confidence` on every component.
+ */
+function aggregateSamples(samples, rubric, { requested = samples.length, threshold = DISAGREEMENT_THRESHOLD } = {}) {
+  const results = samples.map((s) => s.result);
+  const overallScores = results.map((r) => r.overallScore);
+  const overallScore = round2(overallScores.reduce((a, b) => a + b, 0) / results.length);
+
+  const spreads = [];
+  const components = rubric.criteria.map((criterion) => {
+    const entries = results.map((r) => r.components.find((c) => c.code === criterion.code));
+    const scores = entries.map((c) => c.score);
+    const score = Math.round(median(scores));
+    const spread = Math.max(...scores) - Math.min(...scores);
+    const confidence = confidenceOf(spread, threshold);
+    spreads.push({ code: criterion.code, scores, spread, confidence, flagged: confidence === "low" });
+
+    const chosen = entries.find((c) => c.score === score)
+      || entries.reduce((best, c) => (Math.abs(c.score - score) < Math.abs(best.score - score) ? c : best));
+    return {
+      ...chosen,
+      score,
+      level: rubric.levels.find((l) => l.score === score)?.label || null,
+      descriptor: criterion.descriptors[score] || null,
+      confidence,
+    };
+  });
+
+  // Feedback and standards alignment come from the sample closest to the combined result.
+  const distance = (r) => Math.abs(r.overallScore - overallScore)
+    + r.components.reduce((sum, c) => sum + Math.abs(c.score - components.find((x) => x.code === c.code).score), 0);
+  const representative = results.reduce((best, r) => (distance(r) < distance(best) ? r : best));
+
+  return {
+    ...representative,
+    overallScore,
+    components,
+    consistency: {
+      samples: samples.length,
+      requested,
+      models: samples.map((s) => [s.provider, s.model].filter(Boolean).join("/")),
+      threshold,
+      overall: {
+        scores: overallScores,
+        spread: round2(Math.max(...overallScores) - Math.min(...overallScores)),
+      },
+      components: spreads,
+      flagged: spreads.filter((s) => s.flagged).map((s) => s.code),
+    },
+  };
+}
+
+module.exports = {
+  DISAGREEMENT_THRESHOLD,
+  ConsistencyError,
+  normalizeConsistency,
+  gradeConsistently,
+  aggregateSamples,
+};
@@ -0,0 +1,40 @@
+// lowdb-backed JSON store shared by every module that persists state.
+// lowdb is ESM-only, so it is loaded with a dynamic import on first use.
+
+const fs = require("fs");
+const path = require("path");
+
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, "..", "data", "db.json");
+
+// Top-level collections; missing ones are added to older database files on load.
+const DEFAULT_DATA = {
+  submissions: [],
+  teachers: [],
+  sessions: [],
+  classes: [],
+  students: [],
+  assignments: [],
+  batches: [],
+  jobs: [],
+  rubrics: [],
+  transcripts: [],
+};
+
+let dbPromise = null;
+
+async function openDb() {
+  fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+  const { JSONFilePreset } = await import("lowdb/node");
+  const db = await JSONFilePreset(DB_FILE, structuredClone(DEFAULT_DATA));
+  for (const [key, value] of Object.entries(DEFAULT_DATA)) {
+    if (db.data[key] === undefined) db.data[key] = structuredClone(value);
+  }
+  return db;
+}
+
+function getDb() {
+  if (!dbPromise) dbPromise = openDb();
+  return dbPromise;
+}
+
+module.exports = { getDb, DB_FILE };
@@ -0,0 +1,258 @@
+// Parsed document structure shared by every export format (lib/export).
+//
+// Model output and rendered grading reports are markdown. parseDocument runs it
+// through the marked lexer and flattens the tokens into a list of blocks:
+//
+//   { type: "heading", level: 1-4, spans }
+//   { type: "paragraph", spans }
+//   { type: "list", ordered, start, depth, items: [spans] }   depth 0 is top level
+//   { type: "quote", spans }                                   one per quoted line or item
+//   { type: "table", rows: [[cell]], align: [null|"left"|"center"|"right"] }
+//                                                              first row is the header; cells are plain text
+//   { type: "rubric", code, title }            "EA1 - Claim (Score: 3/4, Meets)"
+//   { type: "field", label, spans }            "Evidence: ..." under a rubric row
+//                                              (rubric and field blocks only with { grading: true })
+//   { type: "rule" }
+//
+// where spans are [{ text, bold, italic }].
+//
+// Nested lists become consecutive list blocks with increasing depth; an ordered list
+// interrupted by a nested one continues from `start`.
+
+const { Lexer } = require("marked");
+
+// The dash must follow a space so "SSS1.6-8.1" (a standard code) is not read as rubric "SSS1.6".
+const RUBRIC_LINE = /^(Ø=)?(Y9\s*)?([A-Z]{1,4}\d+(?:\.\d+)?)(?:\s+[-–—]|\s*:)\s*(.+)/;
+const FIELD_LINE = /^[-–]?\s*(Descriptor|Confidence|Explanation|Evidence|Suggestions):\s*(.*)/i;
+const MAX_HEADING_LEVEL = 4;
+
+function span(text, { bold = false, italic = false } = {}) {
+  return { text, bold, italic };
+}
+
+function spansToText(spans) {
+  return spans.map((s) => s.text).join("");
+}
+
+// Inline tokens to spans. Formatting the PDF/DOCX renderers can't express (code, links,
+// strikethrough) keeps its text and drops the markup.
+function inlineSpans(tokens = [], style = {}) {
+  const spans = [];
+  for (const token of tokens) {
+    switch (token.type) {
+      case "strong":
+        spans.push(...inlineSpans(token.tokens, { ...style, bold: true }));
+        break;
+      case "em":
+        spans.push(...inlineSpans(token.tokens, { ...style, italic: true }));
+        break;
+      case "br":
+        spans.push(span("\n", style));
+        break;
+      case "codespan":
+        spans.push(span(token.text, style));
+        break;
+      case "html":
+        break;
+      default:
+        if (token.tokens) spans.push(...inlineSpans(token.tokens, style));
+        else spans.push(span(decodeEntities(token.text), style));
+    }
+  }
+  return mergeSpans(spans);
+}
+
+// The lexer escapes a few characters in text tokens.
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function mergeSpans(spans) {
+  const merged = [];
+  for (const s of spans) {
+    const last = merged[merged.length - 1];
+    if (last && last.bold === s.bold && last.italic === s.italic) last.text += s.text;
+    else if (s.text) merged.push({ ...s });
+  }
+  return merged;
+}
+
+// Splits spans at newlines into one span list per line.
+function splitLines(spans) {
+  const lines = [[]];
+  for (const s of spans) {
+    s.text.split("\n").forEach((part, i) => {
+      if (i > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ ...s, text: part });
+    });
+  }
+  return lines.map((line) => trimSpans(line)).filter((line) => line.length);
+}
+
+function trimSpans(spans) {
+  const out = spans.map((s) => ({ ...s }));
+  if (out.length) out[0].text = out[0].text.replace(/^\s+/, "");
+  if (out.length) out[out.length - 1].text = out[out.length - 1].text.replace(/\s+$/, "");
+  return out.filter((s) => s.text);
+}
+
+// Drops the first `count` characters from a span list (used to cut "Evidence:" labels).
+function dropChars(spans, count) {
+  const out = [];
+  let remaining = count;
+  for (const s of spans) {
+    if (remaining >= s.text.length) {
+      remaining -= s.text.length;
+      continue;
+    }
+    out.push({ ...s, text: s.text.slice(remaining) });
+    remaining = 0;
+  }
+  return trimSpans(out);
+}
+
+// A paragraph line may be a bold pseudo-heading or, in a grading report, a rubric row
+// or one of its fields. Elsewhere "Q1: ..." or "Evidence: ..." lines stay paragraphs.
+function classifyLine(spans, grading) {
+  const text = spansToText(spans);
+
+  if (spans.length === 1 && spans[0].bold) {
+    return { type: "heading", level: 2, spans: [span(text.replace(/:$/, ""))] };
+  }
+  if (!grading) return { type: "paragraph", spans };
+
+  const rubric = text.match(RUBRIC_LINE);
+  if (rubric) return { type: "rubric", code: rubric[3], title: rubric[4].trim() };
+
+  const field = text.match(FIELD_LINE);
+  if (field) return { type: "field", label: field[1], spans: dropChars(spans, text.length - field[2].length) };
+
+  return { type: "paragraph", spans };
+}
+
+function listBlocks(token, depth, options) {
+  const blocks = [];
+  const start = Number(token.start) || 1;
+  let current = { type: "list", ordered: token.ordered, start, depth, items: [] };
+
+  token.items.forEach((item, index) => {
+    const spans = [];
+    const nested = [];
+    for (const child of item.tokens) {
+      if (child.type === "list") {
+        nested.push(...listBlocks(child, depth + 1, options));
+      } else if (child.type === "text" || child.type === "paragraph") {
+        if (spans.length) spans.push(span(" "));
+        spans.push(...inlineSpans(child.tokens || [{ type: "text", text: child.text }]));
+      } else {
+        // Quotes, tables or code inside an item (often an unindented "> ..." line
+        // right after a list) follow the item as ordinary blocks.
+        nested.push(...tokensToBlocks([child], options));
+      }
+    }
+    const marker = item.task ? [span(item.checked ? "[x] " : "[ ] ")] : [];
+    current.items.push(mergeSpans([...marker, ...spans.map((s) => (s.text === "\n" ? span(" ") : s))]));
+
+    if (nested.length) {
+      blocks.push(current, ...nested);
+      current = { type: "list", ordered: token.ordered, start: start + index + 1, depth, items: [] };
+    }
+  });
+
+  if (current.items.length) blocks.push(current);
+  return blocks;
+}
+
+// Quoted lines are printed as written, never read as headings or rubric rows.
+function quoteBlocks(token) {
+  return tokensToBlocks(token.tokens, { classify: false }).flatMap((block) => {
+    if (block.type === "list") return block.items.map((spans) => ({ type: "quote", spans: [span("• "), ...spans] }));
+    if (block.spans) return [{ type: "quote", spans: block.spans }];
+    return [block];
+  });
+}
+
+function tableBlock(token) {
+  const cell = (c) => spansToText(inlineSpans(c.tokens)).trim();
+  return {
+    type: "table",
+    rows: [token.header.map(cell), ...token.rows.map((row) => row.map(cell))],
+    align: token.align,
+  };
+}
+
+function tokensToBlocks(tokens, options = {}) {
+  const { classify = true, grading = false } = options;
+  const blocks = [];
+  const lineBlock = classify ? (spans) => classifyLine(spans, grading) : (spans) => ({ type: "paragraph", spans });
+  for (const token of tokens) {
+    switch (token.type) {
+      case "heading":
+        blocks.push({ type: "heading", level: Math.min(token.depth, MAX_HEADING_LEVEL), spans: inlineSpans(token.tokens) });
+        break;
+      case "paragraph":
+      case "text":
+        blocks.push(...splitLines(inlineSpans(token.tokens || [{ type: "text", text: token.text }])).map(lineBlock));
+        break;
+      case "list":
+        blocks.push(...listBlocks(token, 0, options));
+        break;
+      case "blockquote":
+        blocks.push(...quoteBlocks(token));
+        break;
+      case "table":
+        blocks.push(tableBlock(token));
+        break;
+      case "hr":
+        blocks.push({ type: "rule" });
+        break;
+      case "code":
+        blocks.push(...token.text.split("\n").filter((l) => l.trim()).map((l) => ({ type: "paragraph", spans: [span(l)] })));
+        break;
+      default:
+        // space, html and link definitions carry no printable content.
+        break;
+    }
+  }
+  return blocks;
+}
+
+// Model output habits that plain markdown reads differently: "•" bullets, and a
+// "---" right under a line of text, which would otherwise turn that line into a heading.
+function prepare(text) {
+  return String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/^(\s*)•\s+/gm, "$1- ")
+    .replace(/^[ \t]*(-{3,}|\*{3,}|_{3,})[ \t]*$/gm, "\n$1\n");
+}
+
+/** Blocks of a markdown document; `grading` reads rubric rows and fields (grading reports). */
+function parseDocument(text, { grading = false } = {}) {
+  return tokensToBlocks(new Lexer({ gfm: true }).lex(prepare(text)), { grading });
+}
+
+/**
+ * Groups blocks into sections at each level 1-2 heading:
+ * [{ heading: string | null, blocks }]. Content before the first heading gets heading null.
+ */
+function splitSections(blocks) {
+  const sections = [];
+  let current = { heading: null, blocks: [] };
+  for (const block of blocks) {
+    if (block.type === "heading" && block.level <= 2) {
+      if (current.heading !== null || current.blocks.length) sections.push(current);
+      current = { heading: spansToText(block.spans), blocks: [] };
+    } else {
+      current.blocks.push(block);
+    }
+  }
+  if (current.heading !== null || current.blocks.length) sections.push(current);
+  return sections;
+}
+
+module.exports = { parseDocument, spansToText, splitSections };
@@ -0,0 +1,130 @@
+// DOCX renderer for parsed documents (see lib/document), so teachers can edit
+// generated material in Word or Google Docs instead of retyping it.
+
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  ShadingType,
+  AlignmentType,
+  LevelFormat,
+} = require("docx");
+
+const HEADINGS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+];
+const ALIGNMENTS = { left: AlignmentType.LEFT, center: AlignmentType.CENTER, right: AlignmentType.RIGHT };
+// Numbering levels for nested ordered lists: 1. / a. / i. / 1.
+const ORDERED_LEVELS = [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN, LevelFormat.DECIMAL]
+  .map((format, level) => ({
+    level,
+    format,
+    text: `%${level + 1}.`,
+    alignment: AlignmentType.START,
+    style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+  }));
+
+function runs(spans, extra = {}) {
+  return spans.map((s) => new TextRun({ text: s.text, bold: s.bold, italics: s.italic, ...extra }));
+}
+
+function tableToDocx(rows, align = []) {
+  const columns = Math.max(...rows.map((row) => row.length));
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: rows.map((row, i) => new TableRow({
+      tableHeader: i === 0,
+      children: Array.from({ length: columns }, (_, j) => new TableCell({
+        shading: i === 0 ? { type: ShadingType.CLEAR, fill: "F2F2F2", color: "auto" } : undefined,
+        children: [new Paragraph({
+          alignment: ALIGNMENTS[align[j]],
+          children: [new TextRun({ text: row[j] || "", bold: i === 0 })],
+        })],
+      })),
+    })),
+  });
+}
+
+function renderDocx(blocks, { title = "SmartAsses" } = {}) {
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER, children: [new TextRun(title)] }),
+  ];
+  // Each top-level ordered list gets its own numbering instance so it restarts at 1;
+  // a list resumed after a nested one (start > 1) keeps counting in the same instance.
+  let listInstance = 0;
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case "rule":
+        children.push(new Paragraph({ border: { bottom: { style: "single", size: 6, color: "AAAAAA", space: 1 } } }));
+        break;
+      case "heading":
+        children.push(new Paragraph({
+          heading: HEADINGS[block.level],
+          children: [new TextRun(block.spans.map((s) => s.text).join(""))],
+        }));
+        break;
+      case "table":
+        if (block.rows.length) children.push(tableToDocx(block.rows, block.align), new Paragraph({}));
+        break;
+      case "list": {
+        const level = Math.min(block.depth || 0, ORDERED_LEVELS.length - 1);
+        if (block.ordered && !level && (block.start || 1) === 1) listInstance++;
+        for (const spans of block.items) {
+          children.push(new Paragraph({
+            children: runs(spans),
+            ...(block.ordered
+              ? { numbering: { reference: "ordered", level, instance: listInstance } }
+              : { bullet: { level } }),
+          }));
+        }
+        break;
+      }
+      case "quote":
+        children.push(new Paragraph({
+          indent: { left: 540 },
+          border: { left: { style: "single", size: 12, color: "BBBBBB", space: 8 } },
+          children: runs(block.spans, { italics: true, color: "555555" }),
+        }));
+        break;
+      case "rubric":
+        children.push(new Paragraph({
+          heading: HeadingLevel.HEADING_4,
+          children: [new TextRun(`${block.code} — ${block.title}`)],
+        }));
+        break;
+      case "field":
+        children.push(new Paragraph({
+          children: [new TextRun({ text: `${block.label}: `, bold: true }), ...runs(block.spans)],
+        }));
+        break;
+      default:
+        children.push(new Paragraph({ children: runs(block.spans) }));
+    }
+  }
+
+  const doc = new Document({
+    creator: "SmartAsses",
+    title,
+    numbering: {
+      config: [{
+        reference: "ordered",
+        levels: ORDERED_LEVELS,
+      }],
+    },
+    sections: [{ children }],
+  });
+  return Packer.toBuffer(doc);
+}
+
+module.exports = { renderDocx };
@@ -0,0 +1,91 @@
+// HTML renderer for parsed documents (see lib/document). The output is a single
+// self-contained page that opens in Word or Google Docs with formatting intact.
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function spansToHtml(spans) {
+  return spans.map((s) => {
+    let html = escapeHtml(s.text);
+    if (s.italic) html = `<em>${html}</em>`;
+    if (s.bold) html = `<strong>${html}</strong>`;
+    return html;
+  }).join("");
+}
+
+function tableToHtml(rows, align = []) {
+  const [header, ...body] = rows;
+  const cells = (row, tag) => row.map((c, j) => {
+    const style = align[j] ? ` style="text-align: ${align[j]}"` : "";
+    return `<${tag}${style}>${escapeHtml(c)}</${tag}>`;
+  }).join("");
+  return [
+    "<table>",
+    `<thead><tr>${cells(header, "th")}</tr></thead>`,
+    `<tbody>${body.map((row) => `<tr>${cells(row, "td")}</tr>`).join("")}</tbody>`,
+    "</table>",
+  ].join("\n");
+}
+
+const STYLE = `
+body { font-family: Georgia, "Times New Roman", serif; max-width: 800px; margin: 2em auto; color: #222; line-height: 1.5; }
+h1 { text-align: center; } h2 { border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+table { border-collapse: collapse; width: 100%; margin: 1em 0; }
+th, td { border: 1px solid #444; padding: 6px; text-align: left; vertical-align: top; }
+th { background: #f2f2f2; }
+.rubric { margin-bottom: 0.2em; } .field { margin: 0.2em 0; }
+blockquote { margin: 0.2em 0 0.2em 1em; padding-left: 0.8em; border-left: 3px solid #bbb; color: #555; font-style: italic; }
+`.trim();
+
+function renderHtml(blocks, { title = "SmartAsses" } = {}) {
+  const body = blocks.map((block) => {
+    switch (block.type) {
+      case "rule":
+        return "<hr>";
+      case "heading": {
+        const tag = `h${block.level + 1}`;
+        return `<${tag}>${escapeHtml(block.spans.map((s) => s.text).join(""))}</${tag}>`;
+      }
+      case "table":
+        return block.rows.length ? tableToHtml(block.rows, block.align) : "";
+      case "list": {
+        const tag = block.ordered ? "ol" : "ul";
+        const start = block.ordered && block.start > 1 ? ` start="${block.start}"` : "";
+        const indent = block.depth ? ` style="margin-left: ${block.depth * 1.5}em"` : "";
+        return `<${tag}${start}${indent}>${block.items.map((spans) => `<li>${spansToHtml(spans)}</li>`).join("")}</${tag}>`;
+      }
+      case "quote":
+        return `<blockquote>${spansToHtml(block.spans)}</blockquote>`;
+      case "rubric":
+        return `<h4 class="rubric">${escapeHtml(`${block.code} — ${block.title}`)}</h4>`;
+      case "field":
+        return `<p class="field"><strong>${escapeHtml(block.label)}:</strong> ${spansToHtml(block.spans)}</p>`;
+      default:
+        return `<p>${spansToHtml(block.spans)}</p>`;
+    }
+  });
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+${STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body.filter(Boolean).join("\n")}
+</body>
+</html>
+`;
+  return Buffer.from(html, "utf8");
+}
+
+module.exports = { renderHtml, escapeHtml };
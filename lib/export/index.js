@@ -0,0 +1,55 @@
+// Export formats for generated documents. Every format is rendered from the same
+// parsed structure (lib/document), so headings, bold spans, tables and rubric
+// sections come out the same in PDF, DOCX, Markdown and HTML.
+
+const fs = require("fs");
+const path = require("path");
+const { parseDocument } = require("../document");
+const { renderPdf } = require("./pdf");
+const { renderDocx } = require("./docx");
+const { renderMarkdown } = require("./markdown");
+const { renderHtml } = require("./html");
+
+const FORMATS = {
+  pdf: { ext: ".pdf", render: renderPdf },
+  docx: { ext: ".docx", render: renderDocx },
+  markdown: { ext: ".md", render: renderMarkdown },
+  html: { ext: ".html", render: renderHtml },
+};
+const ALIASES = { md: "markdown", htm: "html", word: "docx" };
+
+class ExportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ExportError";
+    this.status = status;
+  }
+}
+
+// Maps a requested `format` (case-insensitive, aliases allowed) to a supported one; defaults to PDF.
+function normalizeFormat(value) {
+  if (value === undefined || value === null || value === "") return "pdf";
+  const key = String(value).trim().toLowerCase();
+  const format = ALIASES[key] || key;
+  if (!FORMATS[format]) {
+    throw new ExportError(`Unsupported format "${value}". Use one of: ${Object.keys(FORMATS).join(", ")}.`);
+  }
+  return format;
+}
+
+/**
+ * Parses `content` and writes it to `dir` as `<baseName>-<timestamp>.<ext>`.
+ * `template`, `data` and `branding` pick and feed the PDF layout (see ./pdf);
+ * the other formats ignore them, except that rubric rows are only read in grading reports.
+ * Returns the public URL under /pdfs (the report directory serves every format).
+ */
+async function exportDocument(content, { format = "pdf", baseName, dir, title, template, data, branding }) {
+  const { ext, render } = FORMATS[normalizeFormat(format)];
+  const buffer = await render(parseDocument(content, { grading: template === "grading" }), { title, template, data, branding });
+
+  const filename = `${baseName}-${Date.now()}${ext}`;
+  fs.writeFileSync(path.join(dir, filename), buffer);
+  return `/pdfs/${encodeURIComponent(filename)}`;
+}
+
+module.exports = { FORMATS, ExportError, normalizeFormat, exportDocument };
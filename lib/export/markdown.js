@@ -0,0 +1,60 @@
+// Markdown renderer for parsed documents (see lib/document). Produces clean
+// GitHub-flavored markdown that pastes into Google Docs / Classroom as-is.
+
+const ALIGN_MARKERS = { left: " :--- |", center: " :---: |", right: " ---: |" };
+
+function spansToMarkdown(spans) {
+  return spans.map((s) => {
+    const mark = `${s.bold ? "**" : ""}${s.italic ? "*" : ""}`;
+    return mark ? `${mark}${s.text}${[...mark].reverse().join("")}` : s.text;
+  }).join("");
+}
+
+function tableToMarkdown(rows, align = []) {
+  const columns = Math.max(...rows.map((row) => row.length));
+  const pad = (row) => [...row, ...Array(columns - row.length).fill("")];
+  const line = (row) => `| ${pad(row).map((c) => c.replace(/\|/g, "\\|")).join(" | ")} |`;
+  const separator = `|${Array.from({ length: columns }, (_, j) => ALIGN_MARKERS[align[j]] || " --- |").join("")}`;
+  return [line(rows[0]), separator, ...rows.slice(1).map(line)].join("\n");
+}
+
+function renderMarkdown(blocks, { title } = {}) {
+  const parts = title ? [`# ${title}`] : [];
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case "rule":
+        parts.push("---");
+        break;
+      case "heading":
+        parts.push(`${"#".repeat(block.level + 1)} ${block.spans.map((s) => s.text).join("")}`);
+        break;
+      case "table":
+        if (block.rows.length) parts.push(tableToMarkdown(block.rows, block.align));
+        break;
+      case "list": {
+        const indent = "   ".repeat(block.depth || 0);
+        const start = block.start || 1;
+        parts.push(block.items
+          .map((spans, i) => `${indent}${block.ordered ? `${start + i}.` : "-"} ${spansToMarkdown(spans)}`)
+          .join("\n"));
+        break;
+      }
+      case "quote":
+        parts.push(`> ${spansToMarkdown(block.spans)}`);
+        break;
+      case "rubric":
+        parts.push(`#### ${block.code} — ${block.title}`);
+        break;
+      case "field":
+        parts.push(`**${block.label}:** ${spansToMarkdown(block.spans)}`);
+        break;
+      default:
+        parts.push(spansToMarkdown(block.spans));
+    }
+  }
+
+  return Buffer.from(`${parts.join("\n\n")}\n`, "utf8");
+}
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,159 @@
+// Font chain for PDFs.
+//
+// Text is set in Courier Prime. Characters it has no glyph for fall through to the
+// next face in the chain that does: the bundled DejaVu Sans (Greek, Cyrillic and
+// symbols), then the bundled Noto Sans SC and KR subsets, then any CJK font found on
+// the system. The subsets hold the GB2312, JIS X 0208 and frequent Big5 characters
+// (with kana and fullwidth forms) and the KS X 1001 Hangul syllables; rarer
+// ideographs need a full font. PDF_FALLBACK_FONTS adds faces ahead of the system
+// ones (comma-separated .ttf/.otf/.ttc paths), e.g. a Noto Sans CJK file on hosts
+// where it is installed somewhere unusual.
+
+const fs = require("fs");
+const path = require("path");
+const fontkit = require("fontkit");
+
+const FONTS_DIR = path.join(__dirname, "..", "..", "..", "fonts");
+const STYLES = ["base", "bold", "italic", "boldItalic"];
+
+const PRIMARY = {
+  base: "CourierPrime-Regular",
+  bold: "CourierPrime-Bold",
+  italic: "CourierPrime-Italic",
+  boldItalic: "CourierPrime-BoldItalic",
+};
+const BUILTIN = { base: "Courier", bold: "Courier-Bold", italic: "Courier-Oblique", boldItalic: "Courier-BoldOblique" };
+
+// Fallback faces in order. `bold` is used for bold styles when present.
+const BUNDLED_FALLBACKS = [
+  { regular: path.join(FONTS_DIR, "DejaVuSans.ttf"), bold: path.join(FONTS_DIR, "DejaVuSans-Bold.ttf") },
+  { regular: path.join(FONTS_DIR, "NotoSansSC-Subset.ttf") },
+  { regular: path.join(FONTS_DIR, "NotoSansKR-Subset.ttf") },
+];
+const SYSTEM_FALLBACKS = [
+  "/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc",
+  "/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc",
+  "/usr/share/fonts/google-noto-cjk/NotoSansCJK-Regular.ttc",
+  "/usr/share/fonts/truetype/droid/DroidSansFallbackFull.ttf",
+  "/usr/share/fonts/truetype/wqy/wqy-microhei.ttc",
+  "/System/Library/Fonts/PingFang.ttc",
+  "C:\\Windows\\Fonts\\msyh.ttc",
+].map((regular) => ({ regular }));
+
+// PDFKit can only embed TrueType/OpenType files, not web fonts (.woff/.woff2).
+function configuredFallbacks() {
+  return (process.env.PDF_FALLBACK_FONTS || "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter((p) => {
+      if (!p || /\.(ttf|otf|ttc)$/i.test(p)) return Boolean(p);
+      console.warn(`[fonts] Ignoring ${p} in PDF_FALLBACK_FONTS: use a .ttf, .otf or .ttc file.`);
+      return false;
+    })
+    .map((regular) => ({ regular }));
+}
+
+// Opens a font file; collections (.ttc) use their first face. Faces are registered
+// under their file path, since unrelated files can share a PostScript name.
+function openFace(file) {
+  const font = fontkit.openSync(file);
+  const face = font.fonts ? font.fonts[0] : font;
+  return { file, face, name: `${face.postscriptName}@${file}`, family: font.fonts ? face.postscriptName : undefined };
+}
+
+let faces = null;
+
+// Loads every available face once per process: { primary: { style: face }, fallbacks: [{ regular, bold }] }.
+function loadFaces() {
+  if (faces) return faces;
+  faces = { primary: null, fallbacks: [] };
+
+  try {
+    const files = STYLES.map((style) => path.join(FONTS_DIR, `${PRIMARY[style]}.ttf`));
+    if (files.every((file) => fs.existsSync(file))) {
+      faces.primary = Object.fromEntries(STYLES.map((style, i) => [style, openFace(files[i])]));
+    } else {
+      console.warn("[fonts] CourierPrime .ttf files not found, using built-ins.");
+    }
+  } catch (e) {
+    console.warn("[fonts] Could not load CourierPrime; falling back to built-ins.", e);
+  }
+
+  for (const entry of [...BUNDLED_FALLBACKS, ...configuredFallbacks(), ...SYSTEM_FALLBACKS]) {
+    if (!fs.existsSync(entry.regular)) continue;
+    try {
+      const regular = openFace(entry.regular);
+      const bold = entry.bold && fs.existsSync(entry.bold) ? openFace(entry.bold) : regular;
+      faces.fallbacks.push({ regular, bold });
+    } catch (e) {
+      console.warn(`[fonts] Skipping fallback font ${entry.regular}: ${e.message}`);
+    }
+  }
+  return faces;
+}
+
+/**
+ * Registers the chain on a PDFKit document. Returns the primary font name for each
+ * style (base, bold, italic, boldItalic) plus `chains`, used by fontRuns.
+ */
+function registerFonts(doc) {
+  const { primary, fallbacks } = loadFaces();
+  const register = (face) => {
+    doc.registerFont(face.name, face.file, face.family);
+    return face;
+  };
+
+  const chains = Object.fromEntries(STYLES.map((style) => {
+    const bold = style === "bold" || style === "boldItalic";
+    const chain = primary ? [register(primary[style])] : [];
+    fallbacks.forEach((f) => chain.push(register(bold ? f.bold : f.regular)));
+    return [style, chain];
+  }));
+
+  const names = primary ? Object.fromEntries(STYLES.map((s) => [s, primary[s].name])) : { ...BUILTIN };
+  return { ...names, chains };
+}
+
+let warnedMissing = false;
+
+function faceFor(chain, codePoint) {
+  return chain.find((face) => face.face.hasGlyphForCodePoint(codePoint));
+}
+
+/**
+ * Splits `text` into runs that can each be drawn in one font: the first face in the
+ * style's chain with a glyph for the character. Whitespace stays with the current run.
+ * Characters no face covers are drawn in the primary font (as blank boxes); the first
+ * one is logged so the missing font can be installed.
+ */
+function fontRuns(fonts, style, text) {
+  const chain = fonts.chains?.[style] || [];
+  const fallback = fonts[style] || fonts.base;
+  if (!chain.length) return text ? [{ font: fallback, text }] : [];
+
+  const runs = [];
+  for (const char of text) {
+    const codePoint = char.codePointAt(0);
+    let font = runs.length ? runs[runs.length - 1].font : chain[0].name;
+    if (!/\s/.test(char)) {
+      const face = faceFor(chain, codePoint);
+      if (face) {
+        font = face.name;
+      } else {
+        font = chain[0].name;
+        if (!warnedMissing) {
+          warnedMissing = true;
+          const hex = codePoint.toString(16).toUpperCase().padStart(4, "0");
+          console.warn(`[fonts] No installed font covers U+${hex} (and possibly others); add one with PDF_FALLBACK_FONTS.`);
+        }
+      }
+    }
+
+    const last = runs[runs.length - 1];
+    if (last && last.font === font) last.text += char;
+    else runs.push({ font, text: char });
+  }
+  return runs;
+}
+
+module.exports = { registerFonts, fontRuns };
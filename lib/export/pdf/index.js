@@ -0,0 +1,39 @@
+// PDF renderer for parsed documents (see lib/document). Each document type has
+// its own template in ./templates; all share the helpers in ./layout.
+
+const PDFDocument = require("pdfkit");
+const { registerFonts } = require("./layout");
+
+const TEMPLATES = {
+  report: require("./templates/report"),
+  grading: require("./templates/grading"),
+  lessonplan: require("./templates/lessonplan"),
+  assignment: require("./templates/assignment"),
+  classSummary: require("./templates/classSummary"),
+};
+
+/**
+ * Renders blocks to a PDF buffer.
+ * @param {object[]} blocks parsed document
+ * @param {{ title?: string, template?: string, data?: object, branding?: { schoolName?: string, logoPath?: string } }} [options]
+ *   `data` is template-specific structured input (e.g. the grading result).
+ */
+function renderPdf(blocks, { title = "SmartAsses", template = "report", data, branding = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      const fonts = registerFonts(doc);
+      (TEMPLATES[template] || TEMPLATES.report).render(doc, blocks, { fonts, title, data, branding });
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = { renderPdf, TEMPLATES };
@@ -0,0 +1,372 @@
+// Building blocks shared by the PDF templates: font-fallback text drawing, branded
+// header and footer, section banners and rendering of parsed document blocks (see
+// lib/document). All text goes through drawText/writeSpans so every character is
+// drawn in a font that has it (see ./fonts).
+
+const fs = require("fs");
+const { spansToText } = require("../../document");
+const { registerFonts, fontRuns } = require("./fonts");
+
+const ACCENT = "#1f4e79";
+
+function styleOf(span) {
+  if (span.bold && span.italic) return "boldItalic";
+  if (span.bold) return "bold";
+  if (span.italic) return "italic";
+  return "base";
+}
+
+// Draws font runs (see fontRuns) as one continued chain; `position` is [x, y] for the first run.
+function drawRuns(doc, runs, opts = {}, position = []) {
+  if (!runs.length) return doc.text("", ...position, opts);
+  runs.forEach((run, i) => {
+    const options = { ...opts, continued: i === runs.length - 1 ? Boolean(opts.continued) : true };
+    doc.font(run.font);
+    if (i === 0) doc.text(run.text, ...position, options);
+    else doc.text(run.text, options);
+  });
+  return doc;
+}
+
+/**
+ * doc.text for one style with font fallback, so non-Latin characters are drawn in a
+ * face that has them. Takes the same (text, [x, y,] options) arguments as doc.text.
+ */
+function drawText(doc, fonts, style, text, ...args) {
+  const positioned = typeof args[0] === "number";
+  const position = positioned ? args.slice(0, 2) : [];
+  const opts = (positioned ? args[2] : args[0]) || {};
+  return drawRuns(doc, fontRuns(fonts, style, String(text)), opts, position);
+}
+
+function measureText(doc, fonts, style, text) {
+  return fontRuns(fonts, style, text).reduce((width, run) => width + doc.font(run.font).widthOfString(run.text), 0);
+}
+
+// Wrapped height of `text` at `width`. Text in one font is measured exactly; mixed
+// scripts are estimated from their total width and the tallest font's line height.
+function measureHeight(doc, fonts, style, text, width) {
+  const runs = fontRuns(fonts, style, text || " ");
+  if (runs.length <= 1) {
+    doc.font(runs[0]?.font || fonts[style]);
+    return doc.heightOfString(text || " ", { width });
+  }
+  const lineHeight = Math.max(...runs.map((run) => doc.font(run.font).currentLineHeight(true)));
+  const lines = Math.ceil((measureText(doc, fonts, style, text) * 1.1) / width) + (text.match(/\n/g) || []).length;
+  return lines * lineHeight;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function pageBottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function rule(doc, color = "#cccccc") {
+  const left = doc.page.margins.left;
+  doc.moveTo(left, doc.y).lineTo(left + contentWidth(doc), doc.y).strokeColor(color).stroke();
+}
+
+/**
+ * Branded page header: optional logo on the left, school name above the title.
+ * `subtitle` is a short line under the title (defaults to the generation time).
+ */
+function drawHeader(doc, fonts, { title, subtitle, branding = {} }) {
+  const top = doc.y;
+  const left = doc.page.margins.left;
+  let logoHeight = 0;
+
+  if (branding.logoPath && fs.existsSync(branding.logoPath)) {
+    try {
+      doc.image(branding.logoPath, left, top, { fit: [56, 56] });
+      logoHeight = 56;
+    } catch (err) {
+      console.warn("[branding] Could not draw logo:", err.message);
+    }
+  }
+
+  if (branding.schoolName) {
+    drawText(doc.fontSize(11).fillColor(ACCENT), fonts, "bold", branding.schoolName, left, top, { align: "center" });
+  }
+  drawText(doc.fontSize(16).fillColor("#000000"), fonts, "bold", title, { align: "center" });
+  drawText(doc.fontSize(10).fillColor("#444444"), fonts, "base", subtitle || `Generated: ${new Date().toLocaleString()}`, {
+    align: "center",
+  });
+
+  doc.x = left;
+  doc.y = Math.max(doc.y, top + logoHeight) + 6;
+  rule(doc, "#999999");
+  doc.moveDown(1);
+}
+
+function drawFooter(doc, fonts, { branding = {} } = {}) {
+  doc.moveDown(2);
+  rule(doc, "#aaaaaa");
+  doc.moveDown(0.3);
+  const credit = "© 2025 SmartAsses | AI-Powered Educational Insights";
+  drawText(doc.fontSize(9).fillColor("#555555"), fonts, "base", branding.schoolName ? `${branding.schoolName} · ${credit}` : credit, {
+    align: "center",
+  });
+}
+
+// Full-width colored bar used by the lesson plan and assignment layouts.
+function sectionBanner(doc, fonts, text) {
+  if (doc.y > pageBottom(doc) - 80) doc.addPage();
+  doc.moveDown(0.6);
+  const left = doc.page.margins.left;
+  const y = doc.y;
+  doc.rect(left, y, contentWidth(doc), 20).fill(ACCENT);
+  drawText(doc.fontSize(12).fillColor("#ffffff"), fonts, "bold", text.toUpperCase(), left + 8, y + 5);
+  doc.x = left;
+  doc.y = y + 26;
+  doc.fillColor("#222222");
+}
+
+// Writes styled spans as one paragraph using continued:true
+function writeSpans(doc, spans, fonts, size = 10.5, fill = "#222222", opts = {}) {
+  doc.font(fonts.base).fontSize(size).fillColor(fill);
+
+  const runs = spans.flatMap((span) => fontRuns(fonts, styleOf(span), span.text));
+  if (!runs.length) return;
+  drawRuns(doc, runs, opts);
+
+  // End the continued chain
+  doc.text("");
+}
+
+const TABLE_FONT_SIZE = 9;
+const CELL_PADDING = 5;
+
+// Column widths that fit the content width. Columns whose text fits in an even share
+// of the space keep their natural width; the remaining space is split among the
+// wider columns in proportion to their text, never below their longest word.
+function tableColumnWidths(doc, fonts, rows, columns, available) {
+  const natural = Array(columns).fill(0);
+  const minimum = Array(columns).fill(0);
+  doc.fontSize(TABLE_FONT_SIZE);
+  rows.forEach((row, i) => {
+    const style = i === 0 ? "bold" : "base";
+    row.forEach((cell, j) => {
+      const longestWord = Math.max(0, ...cell.split(/\s+/).map((w) => measureText(doc, fonts, style, w)));
+      natural[j] = Math.max(natural[j], measureText(doc, fonts, style, cell) + 2 * CELL_PADDING);
+      minimum[j] = Math.max(minimum[j], longestWord + 2 * CELL_PADDING);
+    });
+  });
+
+  const sum = (list) => list.reduce((a, b) => a + b, 0);
+  if (sum(natural) <= available) {
+    return natural.map((w) => (w * available) / sum(natural));
+  }
+  if (sum(minimum) >= available) {
+    return minimum.map((w) => (w * available) / sum(minimum));
+  }
+
+  const widths = Array(columns).fill(0);
+  let open = natural.map((_, j) => j);
+  let remaining = available;
+  for (let settled = true; settled && open.length; ) {
+    const share = remaining / open.length;
+    const fits = open.filter((j) => natural[j] <= share);
+    fits.forEach((j) => {
+      widths[j] = natural[j];
+      remaining -= natural[j];
+    });
+    open = open.filter((j) => !fits.includes(j));
+    settled = fits.length > 0;
+  }
+
+  // Wide columns: proportional to their text, topped up to their minimum.
+  const wide = sum(open.map((j) => natural[j]));
+  open.forEach((j) => { widths[j] = Math.max(minimum[j], (remaining * natural[j]) / wide); });
+  const total = sum(widths);
+  return total > available ? widths.map((w) => (w * available) / total) : widths;
+}
+
+function drawTableRow(doc, fonts, row, { x, y, widths, height, header, align }) {
+  row.forEach((cell, j) => {
+    if (header) {
+      doc.rect(x, y, widths[j], height).fillAndStroke("#f2f2f2", "black");
+    } else {
+      doc.rect(x, y, widths[j], height).stroke();
+    }
+
+    drawText(doc.fillColor("black").fontSize(TABLE_FONT_SIZE), fonts, header ? "bold" : "base", cell, x + CELL_PADDING, y + CELL_PADDING, {
+      width: widths[j] - 2 * CELL_PADDING,
+      height: height - 2 * CELL_PADDING,
+      align: align[j] || "left",
+      ellipsis: true,
+    });
+    x += widths[j];
+  });
+}
+
+function rowHeight(doc, fonts, row, widths, header) {
+  doc.fontSize(TABLE_FONT_SIZE);
+  const heights = row.map((cell, j) => measureHeight(doc, fonts, header ? "bold" : "base", cell, widths[j] - 2 * CELL_PADDING));
+  return Math.max(...heights) + 2 * CELL_PADDING;
+}
+
+/**
+ * Draws a table with auto-sized columns and rows that grow to fit wrapped text.
+ * Rows never split; a table that runs past the page continues on the next one
+ * under a repeated header row. `widths` overrides the computed column widths and
+ * `align` gives per-column alignment ("left" | "center" | "right").
+ */
+function renderTable(doc, fonts, tableData, { widths, align = [] } = {}) {
+  if (!tableData.length) return;
+  const startX = doc.page.margins.left;
+  const columns = Math.max(...tableData.map((row) => row.length));
+  const rows = tableData.map((row) => [...row, ...Array(columns - row.length).fill("")]);
+  const colWidths = widths || tableColumnWidths(doc, fonts, rows, columns, contentWidth(doc));
+  const [header, ...body] = rows;
+  const headerHeight = rowHeight(doc, fonts, header, colWidths, true);
+  // A single row taller than a page is cut off rather than split mid-cell.
+  const maxRowHeight = pageBottom(doc) - doc.page.margins.top - headerHeight;
+
+  let y = doc.y;
+  const drawHeaderRow = () => {
+    drawTableRow(doc, fonts, header, { x: startX, y, widths: colWidths, height: headerHeight, header: true, align });
+    y += headerHeight;
+  };
+
+  if (y + headerHeight + (body.length ? rowHeight(doc, fonts, body[0], colWidths) : 0) > pageBottom(doc)) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+  drawHeaderRow();
+
+  body.forEach((row) => {
+    const height = Math.min(rowHeight(doc, fonts, row, colWidths), maxRowHeight);
+    if (y + height > pageBottom(doc)) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      drawHeaderRow();
+    }
+    drawTableRow(doc, fonts, row, { x: startX, y, widths: colWidths, height, header: false, align });
+    y += height;
+  });
+
+  doc.x = startX;
+  doc.y = y;
+  doc.moveDown(1);
+}
+
+// Keeps a line from starting at the very bottom of a page (e.g. a list marker
+// drawn on one page with its text on the next).
+function ensureRoom(doc, height) {
+  if (doc.y + height > pageBottom(doc)) doc.addPage();
+}
+
+function renderList(doc, block, fonts) {
+  const left = doc.page.margins.left;
+  const indent = 10 + (block.depth || 0) * 18;
+  const start = block.start || 1;
+
+  block.items.forEach((spans, i) => {
+    const marker = block.ordered ? `${start + i}.` : block.depth ? "–" : "•";
+    doc.font(fonts.base).fontSize(10.5);
+    const hang = block.ordered ? doc.widthOfString(`${start + block.items.length - 1}. `) : 14;
+    ensureRoom(doc, doc.currentLineHeight(true) + 2);
+
+    const y = doc.y;
+    drawText(doc.fillColor("#222222"), fonts, "base", marker, left + indent, y, { lineBreak: false });
+    doc.x = left + indent + hang;
+    doc.y = y;
+    writeSpans(doc, spans, fonts, 10.5, "#222222", { width: contentWidth(doc) - indent - hang, lineGap: 2 });
+    doc.x = left;
+  });
+  doc.moveDown(0.5);
+}
+
+function renderQuote(doc, block, fonts) {
+  const left = doc.page.margins.left;
+  ensureRoom(doc, doc.currentLineHeight(true) + 4);
+  const top = doc.y;
+
+  doc.x = left + 16;
+  writeSpans(doc, block.spans.map((s) => ({ ...s, italic: true })), fonts, 10.5, "#555555", {
+    width: contentWidth(doc) - 16,
+    lineGap: 3,
+  });
+  doc.x = left;
+  // Only draw the bar when the quote stayed on one page.
+  if (doc.y > top) {
+    doc.moveTo(left + 5, top).lineTo(left + 5, doc.y).lineWidth(2).strokeColor("#bbbbbb").stroke().lineWidth(1);
+  }
+  doc.moveDown(0.3);
+}
+
+const HEADING_SIZES = [14, 13, 12, 11];
+
+function renderBlock(doc, block, fonts) {
+  switch (block.type) {
+    case "rule":
+      doc.moveDown(0.7);
+      break;
+
+    case "heading":
+      // Keep a heading on the same page as the first lines under it.
+      ensureRoom(doc, 70);
+      doc.moveDown(0.8);
+      drawText(doc.fontSize(HEADING_SIZES[block.level - 1] || 11).fillColor("#000000"), fonts, "bold", spansToText(block.spans))
+        .moveDown(0.3);
+      if (block.level <= 2) {
+        rule(doc);
+        doc.moveDown(0.6);
+      }
+      break;
+
+    case "table":
+      doc.moveDown(0.5);
+      renderTable(doc, fonts, block.rows, { align: block.align });
+      break;
+
+    case "list":
+      renderList(doc, block, fonts);
+      break;
+
+    case "quote":
+      renderQuote(doc, block, fonts);
+      break;
+
+    case "rubric":
+      drawText(doc.moveDown(0.5).fontSize(11.5).fillColor("#000000"), fonts, "bold", `${block.code} — ${block.title}`);
+      break;
+
+    case "field":
+      drawText(doc.fontSize(10.5).fillColor("#000000"), fonts, "bold", `${block.label}: `, { continued: true });
+      writeSpans(doc, block.spans, fonts, 10.5, "#333333");
+      break;
+
+    default:
+      writeSpans(doc, block.spans, fonts, 10.5, "#222222", { align: "justify", lineGap: 4 });
+      doc.moveDown(0.3);
+  }
+}
+
+function renderBlocks(doc, blocks, fonts) {
+  blocks.forEach((block) => renderBlock(doc, block, fonts));
+}
+
+// A section's own heading as a small subheading under a banner.
+function renderSubheading(doc, fonts, text) {
+  drawText(doc.moveDown(0.4).fontSize(11.5).fillColor("#000000"), fonts, "bold", text).moveDown(0.2);
+}
+
+module.exports = {
+  ACCENT,
+  registerFonts,
+  contentWidth,
+  rule,
+  drawText,
+  drawHeader,
+  drawFooter,
+  sectionBanner,
+  writeSpans,
+  renderTable,
+  renderBlock,
+  renderBlocks,
+  renderSubheading,
+};
@@ -0,0 +1,47 @@
+// Assignment: a student-facing handout, then a separate teacher answer key page.
+// Sections whose heading names an answer key, exemplar or teacher notes go to the
+// key; everything else is handed to students.
+//
+// `data`: { subject, grade, unit, topic }.
+
+const { splitSections } = require("../../../document");
+const { drawText, drawHeader, drawFooter, renderBlocks, renderBlock, writeSpans } = require("../layout");
+
+const TEACHER_ONLY = /answer key|answers|teacher|solution|scoring guide|exemplar/i;
+const KEY_TITLE = "Teacher Answer Key";
+
+// `pageTitle` suppresses a section heading that would just repeat the page header.
+function renderSections(doc, fonts, sections, pageTitle = "") {
+  for (const section of sections) {
+    if (section.heading && section.heading.toLowerCase() !== pageTitle.toLowerCase()) renderBlock(doc, { type: "heading", level: 2, spans: [{ text: section.heading, bold: false }] }, fonts);
+    renderBlocks(doc, section.blocks, fonts);
+  }
+}
+
+function render(doc, blocks, { fonts, title, branding, data = {} }) {
+  const sections = splitSections(blocks);
+  const key = sections.filter((s) => s.heading && TEACHER_ONLY.test(s.heading));
+  const handout = sections.filter((s) => !key.includes(s));
+
+  // ====== STUDENT HANDOUT ======
+  drawHeader(doc, fonts, { title, subtitle: [data.subject, data.grade && `Grade ${data.grade}`].filter(Boolean).join(" · ") || " ", branding });
+  drawText(doc.fontSize(10.5).fillColor("#000000"), fonts, "base", "Name: ____________________   Date: ____________   Period: ______")
+    .moveDown(0.6);
+  const info = [data.unit && `Unit: ${data.unit}`, data.topic && `Topic: ${data.topic}`].filter(Boolean);
+  if (info.length) drawText(doc.fontSize(10.5).fillColor("#333333"), fonts, "bold", info.join("    ")).moveDown(0.4);
+
+  renderSections(doc, fonts, handout);
+  drawFooter(doc, fonts, { branding });
+
+  // ====== TEACHER ANSWER KEY ======
+  doc.addPage();
+  drawHeader(doc, fonts, { title: KEY_TITLE, subtitle: "For teacher use only. Do not distribute.", branding });
+  if (key.length) {
+    renderSections(doc, fonts, key, KEY_TITLE);
+  } else {
+    writeSpans(doc, [{ text: "No answer key was included in the generated assignment.", bold: false }], fonts, 10.5, "#555555");
+  }
+  drawFooter(doc, fonts, { branding });
+}
+
+module.exports = { render };
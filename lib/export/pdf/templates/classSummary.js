@@ -0,0 +1,55 @@
+// Class summary: the class and period up front with headline figures, then the
+// rubric, standards and student tables from lib/analytics.
+//
+// `data`: { class: { name, gradeLevel, subject, period }, filters: { from, to }, overview }.
+
+const { ACCENT, contentWidth, drawText, drawHeader, drawFooter, renderBlocks } = require("../layout");
+
+function percentText(value) {
+  return value === null || value === undefined ? "-" : `${Math.round(value * 100)}%`;
+}
+
+function drawOverview(doc, fonts, overview) {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const top = doc.y;
+  const figures = [
+    [percentText(overview.averagePercent), "Average score"],
+    [String(overview.gradings), "Gradings"],
+    [String(overview.students), "Students graded"],
+    [String(overview.reviewed), "Teacher-reviewed"],
+  ];
+  const column = width / figures.length;
+
+  doc.rect(left, top, width, 56).fill("#eef3f8");
+  figures.forEach(([value, label], i) => {
+    const x = left + column * i + 10;
+    drawText(doc.fontSize(20).fillColor(ACCENT), fonts, "bold", value, x, top + 10, { width: column - 20 });
+    drawText(doc.fontSize(9).fillColor("#444444"), fonts, "base", label, x, top + 36, { width: column - 20 });
+  });
+
+  doc.x = left;
+  doc.y = top + 68;
+}
+
+function render(doc, blocks, { fonts, title, branding, data = {} }) {
+  const klass = data.class || {};
+  const range = [data.filters?.from, data.filters?.to];
+  const subtitle = [
+    klass.name,
+    klass.gradeLevel && `Grade ${klass.gradeLevel}`,
+    klass.subject,
+    klass.period && `Period ${klass.period}`,
+  ].filter(Boolean).join(" · ");
+
+  drawHeader(doc, fonts, { title, subtitle: subtitle || " ", branding });
+  const period = range.some(Boolean) ? `${range[0] || "start"} to ${range[1] || "today"}` : "All graded work";
+  drawText(doc.fontSize(10.5).fillColor("#333333"), fonts, "bold", `${period}    Generated: ${new Date().toLocaleDateString()}`)
+    .moveDown(0.6);
+
+  if (data.overview) drawOverview(doc, fonts, data.overview);
+  renderBlocks(doc, blocks, fonts);
+  drawFooter(doc, fonts, { branding });
+}
+
+module.exports = { render };
@@ -0,0 +1,84 @@
+// Grading report: a score summary up front, then the per-criterion analysis.
+//
+// `data` is the validated grading result (lib/grading). renderGradingMarkdown puts
+// its own title and score lines before the first "---"; the summary replaces them.
+
+const { ALIGNMENT_STATUSES } = require("../../../grading");
+const { ACCENT, contentWidth, drawText, drawHeader, drawFooter, renderBlocks, renderTable } = require("../layout");
+
+function drawScoreSummary(doc, fonts, result) {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const top = doc.y;
+
+  doc.rect(left, top, width, 64).fill("#eef3f8");
+  drawText(doc.fontSize(26).fillColor(ACCENT), fonts, "bold", `${result.overallScore} / ${result.maxScore}`, left + 12, top + 12, {
+    width: 150,
+  });
+  drawText(doc.fontSize(9).fillColor("#444444"), fonts, "base", "Overall score", left + 12, top + 44);
+
+  const infoX = left + 180;
+  const infoWidth = width - 190;
+  drawText(doc.fontSize(11).fillColor("#000000"), fonts, "bold", result.rubric?.name || "Rubric", infoX, top + 12, { width: infoWidth });
+  const scored = `${result.components.length} ${result.components.length === 1 ? "criterion" : "criteria"} scored`;
+  drawText(doc.fontSize(9.5).fillColor("#333333"), fonts, "base", scored, infoX, doc.y + 2, { width: infoWidth });
+
+  const alignment = result.standardsAlignment || [];
+  if (alignment.length) {
+    const counts = ALIGNMENT_STATUSES
+      .map((status) => `${alignment.filter((s) => s.status === status).length} ${status}`)
+      .join(" · ");
+    drawText(doc, fonts, "base", `Standards: ${counts}`, infoX, doc.y + 2, { width: infoWidth });
+  }
+
+  if (result.review) {
+    const adjusted = result.review.overridden.length;
+    const note = adjusted ? ` · ${adjusted} ${adjusted === 1 ? "score" : "scores"} adjusted` : "";
+    drawText(doc, fonts, "bold", `Teacher-reviewed ${result.review.reviewedAt.slice(0, 10)}${note}`, infoX, doc.y + 2, { width: infoWidth });
+  }
+
+  if (result.consistency) {
+    const { samples, flagged } = result.consistency;
+    const review = flagged.length ? ` · ${flagged.length} to review` : "";
+    drawText(doc, fonts, "base", `Consistency: ${samples} samples${review}`, infoX, doc.y + 2, { width: infoWidth });
+  }
+
+  doc.x = left;
+  doc.y = top + 76;
+
+  // Consistency mode adds how far the samples agreed on each criterion.
+  const spreads = result.consistency?.components;
+  const confidence = (c) => {
+    const s = spreads.find((x) => x.code === c.code);
+    if (!s) return "";
+    const label = `${s.confidence[0].toUpperCase()}${s.confidence.slice(1)}`;
+    if (s.flagged) return `${label} · review`;
+    return s.spread ? `${label} (spread ${s.spread})` : label;
+  };
+
+  renderTable(doc, fonts, [
+    ["Code", "Criterion", "Score", ...(spreads ? ["Confidence"] : [])],
+    ...result.components.map((c) => [
+      c.code,
+      c.name,
+      `${c.score}/${result.maxScore}${c.level ? ` ${c.level}` : ""}${result.review?.overridden.includes(c.code) ? " (teacher)" : ""}`,
+      ...(spreads ? [confidence(c)] : []),
+    ]),
+  ], { widths: spreads ? [60, 240, 100, 110] : [70, 300, 140] });
+}
+
+function render(doc, blocks, { fonts, title, branding, data }) {
+  drawHeader(doc, fonts, { title, branding });
+
+  let body = blocks;
+  if (data && Array.isArray(data.components)) {
+    drawScoreSummary(doc, fonts, data);
+    const firstRule = blocks.findIndex((b) => b.type === "rule");
+    if (firstRule !== -1) body = blocks.slice(firstRule + 1);
+  }
+
+  renderBlocks(doc, body, fonts);
+  drawFooter(doc, fonts, { branding });
+}
+
+module.exports = { render };
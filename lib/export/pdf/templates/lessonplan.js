@@ -0,0 +1,81 @@
+// Lesson plan: the model's sections regrouped under fixed Objectives, Standards,
+// Procedure and Assessment banners, with anything unrecognized at the end.
+//
+// `data`: { subject, grade, unit, standards: [{ code, description }] }. The standards
+// list fills the Standards banner when the plan itself has no standards section.
+
+const { splitSections } = require("../../../document");
+const {
+  drawText,
+  drawHeader,
+  drawFooter,
+  sectionBanner,
+  renderBlocks,
+  renderSubheading,
+  writeSpans,
+} = require("../layout");
+
+// First match wins, so "Formative Assessment Activity" lands under Assessment.
+const GROUPS = [
+  { label: "Objectives", match: /objective|target|success criteria|goal|essential question/i },
+  { label: "Standards", match: /standard/i },
+  { label: "Assessment", match: /assess|exit ticket|rubric|check for understanding|evaluation|quiz/i },
+  { label: "Procedure", match: /procedure|activit|lesson|instruction|warm.?up|agenda|sequence|notes|vocabulary|differentiat|practice/i },
+];
+const OTHER = "Additional Materials";
+
+function groupSections(sections) {
+  const groups = new Map([...GROUPS.map((g) => [g.label, []]), [OTHER, []]]);
+  for (const section of sections) {
+    if (!section.blocks.length) continue;
+    const group = GROUPS.find((g) => g.match.test(section.heading || ""));
+    groups.get(group ? group.label : OTHER).push(section);
+  }
+  return groups;
+}
+
+function renderInfoLine(doc, fonts, data) {
+  const parts = [
+    data.subject && `Subject: ${data.subject}`,
+    data.grade && `Grade: ${data.grade}`,
+    data.unit && `Unit: ${data.unit}`,
+  ].filter(Boolean);
+  if (parts.length) drawText(doc.fontSize(10.5).fillColor("#333333"), fonts, "bold", parts.join("    "));
+}
+
+function render(doc, blocks, { fonts, title, branding, data = {} }) {
+  drawHeader(doc, fonts, { title, branding });
+  renderInfoLine(doc, fonts, data);
+
+  const sections = splitSections(blocks);
+  const intro = sections.filter((s) => s.heading === null);
+  intro.forEach((s) => renderBlocks(doc, s.blocks, fonts));
+
+  const groups = groupSections(sections.filter((s) => s.heading !== null));
+  if (!groups.get("Standards").length && data.standards?.length) {
+    groups.set("Standards", [{
+      heading: null,
+      blocks: [{
+        type: "list",
+        ordered: false,
+        items: data.standards.map((s) => [{ text: s.code, bold: true }, { text: `: ${s.description}`, bold: false }]),
+      }],
+    }]);
+  }
+
+  for (const [label, list] of groups) {
+    if (!list.length) continue;
+    sectionBanner(doc, fonts, label);
+    for (const section of list) {
+      if (section.heading && section.heading.toLowerCase() !== label.toLowerCase()) {
+        renderSubheading(doc, fonts, section.heading);
+      }
+      renderBlocks(doc, section.blocks, fonts);
+    }
+  }
+
+  if (!sections.length) writeSpans(doc, [{ text: "The generated lesson plan was empty.", bold: false }], fonts);
+  drawFooter(doc, fonts, { branding });
+}
+
+module.exports = { render };
@@ -0,0 +1,11 @@
+// Plain layout for documents without a dedicated template.
+
+const { drawHeader, drawFooter, renderBlocks } = require("../layout");
+
+function render(doc, blocks, { fonts, title, branding }) {
+  drawHeader(doc, fonts, { title, branding });
+  renderBlocks(doc, blocks, fonts);
+  drawFooter(doc, fonts, { branding });
+}
+
+module.exports = { render };
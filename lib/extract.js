@@ -0,0 +1,399 @@
+// Uploaded files: format detection and text extraction.
+//
+// The format comes from the file's content (magic bytes, the manifest of ZIP-based
+// formats, a text sniff), not from the name or the client's Content-Type; the
+// extension only tells text flavours apart (.html vs .txt). Formats:
+//
+//   pages      pdf, png, jpeg, webp, gif, tiff, heic   graded from page images (lib/pages)
+//   documents  docx, odt, rtf, html, text              graded as extracted text
+//
+// Google Docs exports are covered by those: .docx, .odt, .rtf, .txt, .pdf and the
+// zipped web page (.zip holding one .html file).
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const AdmZip = require("adm-zip");
+
+const MAX_XML_BYTES = 20 * 1024 * 1024;
+const SNIFF_BYTES = 4096;
+
+const FORMATS = {
+  pdf: { kind: "pages", label: "PDF", extensions: [".pdf"] },
+  png: { kind: "pages", label: "PNG", extensions: [".png"] },
+  jpeg: { kind: "pages", label: "JPEG", extensions: [".jpg", ".jpeg"] },
+  webp: { kind: "pages", label: "WebP", extensions: [".webp"] },
+  gif: { kind: "pages", label: "GIF", extensions: [".gif"] },
+  tiff: { kind: "pages", label: "TIFF", extensions: [".tif", ".tiff"] },
+  heic: { kind: "pages", label: "HEIC", extensions: [".heic", ".heif"] },
+  docx: { kind: "document", label: "Word", extensions: [".docx"] },
+  odt: { kind: "document", label: "OpenDocument", extensions: [".odt"] },
+  rtf: { kind: "document", label: "RTF", extensions: [".rtf"] },
+  html: { kind: "document", label: "HTML", extensions: [".html", ".htm", ".zip"] },
+  text: { kind: "document", label: "plain text", extensions: [".txt", ".text", ".md"] },
+};
+
+const HEIF_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1", "avif"];
+
+class ExtractionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ExtractionError";
+    this.status = status;
+  }
+}
+
+function supportedTypes() {
+  const list = (kind) => Object.values(FORMATS).filter((f) => f.kind === kind).map((f) => f.label).join(", ");
+  return `page images or scans (${list("pages")}) or documents (${list("document")})`;
+}
+
+function readHead(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Unpacks a ZIP entry, stopping at `limit` bytes. The sizes in the entry's header are
+// the uploader's word, so only the bytes actually inflated count.
+function readZipEntry(entry, limit, name) {
+  const { method, flags } = entry.header;
+  if (flags & 1) throw new ExtractionError(`${name} is encrypted.`, 415);
+  if (method !== 0 && method !== 8) throw new ExtractionError(`${name} uses an unsupported ZIP compression.`, 415);
+
+  let data;
+  try {
+    const raw = entry.getCompressedData();
+    data = method === 0 ? raw : zlib.inflateRawSync(raw, { maxOutputLength: limit + 1 });
+  } catch (err) {
+    if (err.code === "ERR_BUFFER_TOO_LARGE") throw new ExtractionError(`${name} is too large to read.`, 413);
+    throw new ExtractionError(`${name} is not a readable ZIP file.`, 415);
+  }
+  if (data.length > limit) throw new ExtractionError(`${name} is too large to read.`, 413);
+  return data;
+}
+
+function zipFormat(filePath) {
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
+  } catch {
+    return null;
+  }
+  const names = zip.getEntries().filter((e) => !e.isDirectory).map((e) => e.entryName);
+  if (names.includes("word/document.xml")) return "docx";
+  const mimetype = zip.getEntry("mimetype");
+  if (mimetype) {
+    // A real mimetype entry is a few dozen bytes; anything unreadable or larger is not an ODT.
+    try {
+      if (readZipEntry(mimetype, SNIFF_BYTES, "mimetype").toString("ascii").trim() === "application/vnd.oasis.opendocument.text") {
+        return "odt";
+      }
+    } catch (err) {
+      if (!(err instanceof ExtractionError)) throw err;
+    }
+  }
+  if (names.filter((n) => /\.html?$/i.test(n) && !n.includes("/")).length === 1) return "html";
+  return null;
+}
+
+// Text if there are no NUL bytes (UTF-16 aside) and hardly any other control characters.
+function looksLikeText(head) {
+  if (head.length >= 2 && ((head[0] === 0xff && head[1] === 0xfe) || (head[0] === 0xfe && head[1] === 0xff))) return true;
+  let control = 0;
+  for (const byte of head) {
+    if (byte === 0) return false;
+    if (byte < 0x09 || (byte > 0x0d && byte < 0x20)) control++;
+  }
+  return control <= head.length * 0.01;
+}
+
+/**
+ * Format key (see FORMATS) of an uploaded file from its content, or null when it is
+ * not something we can grade. `name` is the original filename.
+ */
+function detectFormat(filePath, name = "") {
+  const head = readHead(filePath);
+  const ascii = head.toString("latin1");
+  const ext = path.extname(name).toLowerCase();
+
+  if (ascii.slice(0, 1024).includes("%PDF-")) return "pdf";
+  if (ascii.startsWith("\x89PNG")) return "png";
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return "jpeg";
+  if (ascii.startsWith("RIFF") && ascii.slice(8, 12) === "WEBP") return "webp";
+  if (ascii.startsWith("GIF8")) return "gif";
+  if (ascii.startsWith("II*\0") || ascii.startsWith("MM\0*")) return "tiff";
+  if (ascii.slice(4, 8) === "ftyp" && HEIF_BRANDS.includes(ascii.slice(8, 12))) return "heic";
+  if (ascii.startsWith("PK\x03\x04")) return zipFormat(filePath);
+  if (ascii.trimStart().startsWith("{\\rtf")) return "rtf";
+  if (!looksLikeText(head)) return null;
+  if ([".html", ".htm"].includes(ext) || /^\s*(<!doctype html|<html)/i.test(ascii)) return "html";
+  return "text";
+}
+
+/**
+ * Detects every uploaded file (multer file objects) and splits them by how they are
+ * graded: { documents, pages }, each [{ ...file, format }]. Unsupported files are a 415.
+ */
+function classifyUploads(files) {
+  const detected = files.map((file) => ({ ...file, format: detectFormat(file.path, file.originalname) }));
+  const unsupported = detected.filter((f) => !f.format).map((f) => f.originalname);
+  if (unsupported.length) {
+    throw new ExtractionError(`Unsupported file type: ${unsupported.join(", ")}. Upload ${supportedTypes()}.`, 415);
+  }
+  detected.forEach((f) => {
+    const ext = path.extname(f.originalname).toLowerCase();
+    if (ext && !FORMATS[f.format].extensions.includes(ext)) {
+      console.warn(`⚠️ ${f.originalname} is actually ${FORMATS[f.format].label}; reading it as such.`);
+    }
+  });
+  return {
+    documents: detected.filter((f) => FORMATS[f.format].kind === "document"),
+    pages: detected.filter((f) => FORMATS[f.format].kind === "pages"),
+  };
+}
+
+const ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ",
+  mdash: "—", ndash: "–", hellip: "…", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", bull: "•",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === "#") {
+      const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+    }
+    return ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+// Windows-1252 differs from Latin-1 only in 0x80-0x9F (Node without full ICU decodes
+// "windows-1252" as Latin-1, so the difference is mapped here).
+const CP1252_HIGH = "€\uFFFD‚ƒ„…†‡ˆ‰Š‹Œ\uFFFDŽ\uFFFD\uFFFD‘’“”•–—˜™š›œ\uFFFDžŸ";
+
+function decodeCp1252(buffer) {
+  let text = "";
+  for (const byte of buffer) text += byte >= 0x80 && byte <= 0x9f ? CP1252_HIGH[byte - 0x80] : String.fromCharCode(byte);
+  return text;
+}
+
+// UTF-8 unless there is a UTF-16 byte order mark or the bytes are not valid UTF-8
+// (older Windows editors save Windows-1252).
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder("utf-16le").decode(buffer.subarray(2));
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder("utf-16be").decode(buffer.subarray(2));
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer).replace(/^\uFEFF/, "");
+  } catch {
+    return decodeCp1252(buffer);
+  }
+}
+
+function openZip(filePath, name) {
+  try {
+    return new AdmZip(filePath);
+  } catch {
+    throw new ExtractionError(`${name} is not a readable ZIP file.`, 415);
+  }
+}
+
+function zipEntryText(filePath, entryName, name) {
+  const entry = openZip(filePath, name).getEntry(entryName);
+  if (!entry) throw new ExtractionError(`${name} is missing ${entryName}.`);
+  return readZipEntry(entry, MAX_XML_BYTES, name).toString("utf8");
+}
+
+// Word: one line per <w:p>; list paragraphs get a bullet. Deleted tracked changes
+// (<w:delText>) are skipped.
+function docxText(filePath, name) {
+  const xml = zipEntryText(filePath, "word/document.xml", name);
+  const body = xml.slice(xml.indexOf("<w:body"));
+  return body.split(/<\/w:p>/).map((paragraph) => {
+    let line = "";
+    const tokens = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)(?:\s[^>]*)?\/>/g;
+    let match;
+    while ((match = tokens.exec(paragraph))) {
+      if (match[1] !== undefined) line += decodeEntities(match[1]);
+      else line += match[0].startsWith("<w:tab") ? "\t" : "\n";
+    }
+    return /<w:numPr>/.test(paragraph) && line.trim() ? `• ${line}` : line;
+  }).join("\n");
+}
+
+// OpenDocument: <text:p>/<text:h> become lines; footnotes and comments are dropped.
+function odtText(filePath, name) {
+  const xml = zipEntryText(filePath, "content.xml", name);
+  const body = xml.slice(xml.indexOf("<office:body"));
+  return decodeEntities(body
+    .replace(/<text:note\b[\s\S]*?<\/text:note>/g, "")
+    .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, "")
+    .replace(/<text:s\s+text:c="(\d+)"\s*\/>/g, (m, n) => " ".repeat(Math.min(Number(n), 100)))
+    .replace(/<text:s\s*\/>/g, " ")
+    .replace(/<text:tab\s*\/>/g, "\t")
+    .replace(/<text:line-break\s*\/>/g, "\n")
+    .replace(/<text:list-item\b[^>]*>/g, "• ")
+    .replace(/<\/text:(p|h)>/g, "\n")
+    .replace(/<[^>]+>/g, ""));
+}
+
+function htmlText(filePath, name) {
+  let html;
+  if (readHead(filePath).toString("latin1").startsWith("PK\x03\x04")) {
+    const entry = openZip(filePath, name).getEntries().find((e) => /\.html?$/i.test(e.entryName) && !e.entryName.includes("/"));
+    if (!entry) throw new ExtractionError(`${name} holds no web page.`);
+    html = readZipEntry(entry, MAX_XML_BYTES, name).toString("utf8");
+  } else {
+    html = decodeText(fs.readFileSync(filePath));
+  }
+  return decodeEntities(html
+    .replace(/<(head|script|style|template)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<li\b[^>]*>/gi, "\n• ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|h[1-6]|tr|table|blockquote|section|article|ul|ol)\b[^>]*>/gi, "\n")
+    .replace(/<\/t[dh]>/gi, "\t")
+    .replace(/<[^>]+>/g, "")
+    .replace(/[ \t]*\n[ \t]*/g, "\n"));
+}
+
+// Control words that start a group whose text is not part of the document body.
+const RTF_DESTINATIONS = new Set([
+  "fonttbl", "colortbl", "stylesheet", "info", "pict", "header", "headerl", "headerr", "headerf",
+  "footer", "footerl", "footerr", "footerf", "listtable", "listoverridetable", "rsidtbl", "generator",
+  "themedata", "colorschememapping", "datastore", "latentstyles", "xmlnstbl", "fldinst", "object",
+  "nonshppict", "revtbl", "filetbl", "footnote", "annotation", "mmathPr", "pgdsctbl",
+]);
+const RTF_SYMBOLS = {
+  par: "\n", line: "\n", sect: "\n", page: "\n", tab: "\t", cell: "\t", row: "\n",
+  emdash: "—", endash: "–", bullet: "•", lquote: "‘", rquote: "’", ldblquote: "“", rdblquote: "”",
+};
+
+function rtfToText(rtf) {
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let pendingSkip = 0; // fallback characters to drop after a \u escape
+  let out = "";
+  const emit = (text) => {
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    if (!state.skip) out += text;
+  };
+
+  for (let i = 0; i < rtf.length; i++) {
+    const ch = rtf[i];
+    if (ch === "{") {
+      stack.push(state);
+      state = { ...state };
+      pendingSkip = 0;
+    } else if (ch === "}") {
+      state = stack.pop() || state;
+      pendingSkip = 0;
+    } else if (ch === "\\") {
+      const next = rtf[i + 1];
+      if (next === "\\" || next === "{" || next === "}") {
+        emit(next);
+        i++;
+      } else if (next === "'") {
+        emit(decodeCp1252(Buffer.from([parseInt(rtf.slice(i + 2, i + 4), 16) || 0x3f])));
+        i += 3;
+      } else if (next === "*") {
+        state.skip = true;
+        i++;
+      } else if (next === "~") {
+        emit(" ");
+        i++;
+      } else if (next === "_") {
+        emit("-");
+        i++;
+      } else if (next === "\n" || next === "\r") {
+        emit("\n");
+        i++;
+      } else {
+        const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+        if (!match) {
+          i++;
+          continue;
+        }
+        i += match[0].length;
+        const [, word, param] = match;
+        if (word === "u") {
+          const code = Number(param) < 0 ? Number(param) + 65536 : Number(param);
+          emit(String.fromCharCode(code));
+          pendingSkip = state.uc;
+        } else if (word === "uc") {
+          state.uc = Number(param) || 0;
+        } else if (RTF_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (RTF_SYMBOLS[word]) {
+          emit(RTF_SYMBOLS[word]);
+        }
+      }
+    } else if (ch !== "\r" && ch !== "\n") {
+      emit(ch);
+    }
+  }
+  return out;
+}
+
+function tidy(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/\u00a0/g, " ")
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/** Plain text of a document upload; `format` comes from detectFormat. */
+function extractText(filePath, format, name = path.basename(filePath)) {
+  let text;
+  try {
+    switch (format) {
+      case "docx":
+        text = docxText(filePath, name);
+        break;
+      case "odt":
+        text = odtText(filePath, name);
+        break;
+      case "rtf":
+        text = rtfToText(decodeText(fs.readFileSync(filePath)));
+        break;
+      case "html":
+        text = htmlText(filePath, name);
+        break;
+      case "text":
+        text = decodeText(fs.readFileSync(filePath));
+        break;
+      default:
+        throw new ExtractionError(`${name} is not a text document.`, 415);
+    }
+  } catch (err) {
+    if (err instanceof ExtractionError) throw err;
+    throw new ExtractionError(`Could not read ${name}: ${err.message}`);
+  }
+
+  text = tidy(text);
+  if (!text) throw new ExtractionError(`${name} contains no text.`);
+  return text;
+}
+
+/** Text of several document uploads in order, separated by blank lines. */
+function extractDocuments(files) {
+  return files.map((f) => extractText(f.path, f.format, f.originalname)).join("\n\n");
+}
+
+module.exports = {
+  FORMATS,
+  ExtractionError,
+  detectFormat,
+  classifyUploads,
+  extractText,
+  extractDocuments,
+};
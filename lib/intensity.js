@@ -0,0 +1,107 @@
+// Grading intensity profiles. Each profile tells the grader how much evidence a score
+// level needs, which way to lean between two levels, and the tone of the feedback, so
+// "rigorous" means the same thing on every request. The calibration harness
+// (scripts/calibrate.js) checks that each profile keeps anchor papers in its band.
+
+const DEFAULT_INTENSITY = "standard";
+
+const PROFILES = {
+  lenient: {
+    id: "lenient",
+    label: "Lenient",
+    summary: "Encouraging grading for early drafts, practice work and struggling writers.",
+    betweenLevels: "higher",
+    thresholds: [
+      "Award a level when the work shows most of its descriptor, even if some parts are only partly done.",
+      "Award the top score when the work meets the top descriptor overall, even with minor slips.",
+      "Give any genuine, on-topic attempt at least {floor} on each criterion.",
+    ],
+    tone: "Warm and encouraging. Lead with strengths; give at most two next steps per criterion, phrased as invitations.",
+  },
+  standard: {
+    id: "standard",
+    label: "Standard",
+    summary: "Balanced grading that applies the rubric descriptors as written.",
+    betweenLevels: "level most of the evidence supports",
+    thresholds: [
+      "Award a level when the work clearly meets its descriptor as written.",
+      "Award the top score only when the top descriptor is met with specific evidence.",
+    ],
+    tone: "Balanced and specific. Name strengths and weaknesses equally plainly, with concrete next steps.",
+  },
+  rigorous: {
+    id: "rigorous",
+    label: "Rigorous",
+    summary: "Demanding grading for final drafts, exam preparation and advanced students.",
+    betweenLevels: "lower",
+    thresholds: [
+      "Award a level only when every part of its descriptor is demonstrated with specific evidence.",
+      "Award the top score only to work with no significant weaknesses on that criterion.",
+      "Errors that would be tolerated elsewhere (imprecise claims, unexplained evidence) lower the score.",
+    ],
+    tone: "Direct and exacting, never harsh. Point out every weakness that cost a level and what would earn the next one.",
+  },
+};
+
+// Words clients have used for the same profiles.
+const ALIASES = {
+  easy: "lenient",
+  gentle: "lenient",
+  low: "lenient",
+  normal: "standard",
+  moderate: "standard",
+  medium: "standard",
+  default: "standard",
+  strict: "rigorous",
+  hard: "rigorous",
+  high: "rigorous",
+};
+
+class IntensityError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "IntensityError";
+    this.status = status;
+  }
+}
+
+/** The profile id for a request's `intensity` (standard when omitted). */
+function normalizeIntensity(value) {
+  if (value === undefined || value === null || String(value).trim() === "") return DEFAULT_INTENSITY;
+  const key = String(value).trim().toLowerCase();
+  const id = PROFILES[key] ? key : ALIASES[key];
+  if (!id) {
+    throw new IntensityError(`Unknown grading intensity "${value}". Use one of: ${Object.keys(PROFILES).join(", ")}.`);
+  }
+  return id;
+}
+
+function getProfile(value) {
+  return PROFILES[normalizeIntensity(value)];
+}
+
+function listProfiles() {
+  return Object.values(PROFILES).map(({ id, label, summary }) => ({ id, label, summary }));
+}
+
+// Prompt section with the profile's score thresholds and tone on the rubric's scale.
+function formatIntensityForPrompt(profile, rubric) {
+  const floor = Math.min(rubric.minScore + 1, rubric.maxScore);
+  const thresholds = profile.thresholds.map((t) => `- ${t.replace("{floor}", floor)}`);
+  return [
+    `Grading Intensity: ${profile.label} (${profile.summary})`,
+    ...thresholds,
+    `- When the evidence sits between two levels, award the ${profile.betweenLevels}.`,
+    `- Feedback tone: ${profile.tone}`,
+  ].join("\n");
+}
+
+module.exports = {
+  DEFAULT_INTENSITY,
+  PROFILES,
+  IntensityError,
+  normalizeIntensity,
+  getProfile,
+  listProfiles,
+  formatIntensityForPrompt,
+};
@@ -0,0 +1,200 @@
+// Background job queue for long-running generation work.
+//
+// Jobs are persisted in the database so they survive a restart: anything that was
+// running when the process died is put back in the queue and re-run. Handlers get
+// an AbortSignal for cancellation and a `reportProgress` callback. A handler can
+// register an `onFinish(input, job)` hook that runs once the job ends in any state,
+// including cancellation while still queued (e.g. to delete uploaded files).
+//
+// Job states: queued -> running -> succeeded | failed | cancelled
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { getDb } = require("./db");
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const FINISHED = ["succeeded", "failed", "cancelled"];
+
+const handlers = new Map();
+const finishHooks = new Map();
+const running = new Map(); // jobId -> AbortController
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+class JobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "JobError";
+    this.status = status;
+  }
+}
+
+function registerHandler(type, handler, { onFinish } = {}) {
+  handlers.set(type, handler);
+  if (onFinish) finishHooks.set(type, onFinish);
+}
+
+function publicJob(job) {
+  const { teacherId, input, ...rest } = job;
+  return rest;
+}
+
+function emit(job) {
+  events.emit(`job:${job.id}`, publicJob(job));
+}
+
+async function enqueue(teacherId, type, input) {
+  if (!handlers.has(type)) throw new Error(`No handler registered for job type "${type}".`);
+
+  const db = await getDb();
+  const job = {
+    id: crypto.randomUUID(),
+    teacherId,
+    type,
+    status: "queued",
+    input,
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  await db.update(({ jobs }) => jobs.push(job));
+  emit(job);
+  setImmediate(pump);
+  return job;
+}
+
+async function finish(job, fields) {
+  const db = await getDb();
+  Object.assign(job, fields, { finishedAt: new Date().toISOString() });
+  await db.write();
+  emit(job);
+
+  const onFinish = finishHooks.get(job.type);
+  if (onFinish) {
+    try {
+      await onFinish(job.input, job);
+    } catch (err) {
+      console.error(`🔥 Cleanup after job ${job.id} (${job.type}) failed:`, err.message);
+    }
+  }
+}
+
+async function runJob(job) {
+  const db = await getDb();
+  if (job.status !== "queued") {
+    // Cancelled between being picked by pump() and starting.
+    running.delete(job.id);
+    return;
+  }
+  const controller = new AbortController();
+  running.set(job.id, controller);
+
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  await db.write();
+  emit(job);
+
+  const reportProgress = async (progress) => {
+    job.progress = progress;
+    await db.write();
+    emit(job);
+  };
+
+  try {
+    const result = await handlers.get(job.type)(job.input, {
+      jobId: job.id,
+      teacherId: job.teacherId,
+      signal: controller.signal,
+      reportProgress,
+    });
+    if (controller.signal.aborted) await finish(job, { status: "cancelled" });
+    else await finish(job, { status: "succeeded", result });
+  } catch (err) {
+    if (controller.signal.aborted) {
+      await finish(job, { status: "cancelled" });
+    } else {
+      console.error(`🔥 Job ${job.id} (${job.type}) failed:`, err.message);
+      await finish(job, { status: "failed", error: { message: err.message, details: err.errors || null } });
+    }
+  } finally {
+    running.delete(job.id);
+    setImmediate(pump);
+  }
+}
+
+// Starts queued jobs, oldest first, until the concurrency limit is reached.
+async function pump() {
+  const db = await getDb();
+  const queued = db.data.jobs.filter((j) => j.status === "queued" && !running.has(j.id));
+  for (const job of queued) {
+    if (running.size >= CONCURRENCY) break;
+    if (!handlers.has(job.type)) continue;
+    running.set(job.id, null); // reserve the slot before the async start
+    runJob(job);
+  }
+}
+
+async function getJob(teacherId, id) {
+  const db = await getDb();
+  return db.data.jobs.find((j) => j.id === id && j.teacherId === teacherId) || null;
+}
+
+async function listJobs(teacherId, { status, type } = {}) {
+  const db = await getDb();
+  return db.data.jobs
+    .filter((j) => j.teacherId === teacherId)
+    .filter((j) => !status || j.status === status)
+    .filter((j) => !type || j.type === type)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function cancelJob(teacherId, id) {
+  const job = await getJob(teacherId, id);
+  if (!job) throw new JobError("Job not found.", 404);
+  if (FINISHED.includes(job.status)) throw new JobError(`Job already ${job.status}.`, 409);
+
+  const controller = running.get(job.id);
+  if (controller) {
+    controller.abort();
+  } else {
+    await finish(job, { status: "cancelled" });
+  }
+  return job;
+}
+
+function subscribe(jobId, listener) {
+  events.on(`job:${jobId}`, listener);
+  return () => events.off(`job:${jobId}`, listener);
+}
+
+// Called once at startup after every handler is registered.
+async function restoreJobs() {
+  const db = await getDb();
+  let requeued = 0;
+  for (const job of db.data.jobs) {
+    if (job.status === "running") {
+      job.status = "queued";
+      job.progress = { message: "Restarted after server restart." };
+      requeued++;
+    }
+  }
+  await db.write();
+  if (requeued) console.log(`♻️ Re-queued ${requeued} interrupted job(s).`);
+  await pump();
+}
+
+module.exports = {
+  FINISHED,
+  JobError,
+  registerHandler,
+  enqueue,
+  getJob,
+  listJobs,
+  cancelJob,
+  subscribe,
+  publicJob,
+  restoreJobs,
+};
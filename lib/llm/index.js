@@ -0,0 +1,150 @@
+// LLM provider layer. Every model call in the server goes through `complete()`.
+//
+// Configuration (env):
+//   LLM_PROVIDER              default provider for all routes: openrouter | openai | mock
+//   LLM_PROVIDER_<ROUTE>      provider override for one route, e.g. LLM_PROVIDER_GRADE=openai
+//   LLM_MODEL_<ROUTE>         model override for one route, e.g. LLM_MODEL_LESSONPLAN=x-ai/grok-4
+//   LLM_TIMEOUT_MS            per-request timeout (default 120000)
+//   LLM_MAX_RETRIES           retries on network errors, 429 and 5xx (default 2)
+//
+// Passing `onToken` streams the completion; retries then only happen while no
+// token has been delivered yet, so a caller never sees duplicated output.
+//
+// Routes: subject, grade, gradeVision, transcribe, lessonplan, assignment.
+
+const openrouter = require("./openrouter");
+const openai = require("./openai");
+const mock = require("./mock");
+
+const PROVIDERS = { openrouter, openai, mock };
+
+const ROUTE_DEFAULTS = {
+  subject: { provider: "openrouter", model: "x-ai/grok-4-fast" },
+  grade: { provider: "openrouter", model: "x-ai/grok-4-fast" },
+  gradeVision: { provider: "openai", model: "gpt-4o" },
+  transcribe: { provider: "openai", model: "gpt-4o" },
+  lessonplan: { provider: "openrouter", model: "x-ai/grok-4-fast" },
+  assignment: { provider: "openrouter", model: "x-ai/grok-4-fast" },
+};
+
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 120000;
+const MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES, 10) >= 0
+  ? parseInt(process.env.LLM_MAX_RETRIES, 10)
+  : 2;
+
+function envKey(route) {
+  return route.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
+}
+
+function resolveRoute(route, overrides = {}) {
+  const defaults = ROUTE_DEFAULTS[route];
+  if (!defaults) throw new Error(`Unknown LLM route "${route}".`);
+
+  const key = envKey(route);
+  const provider = overrides.provider
+    || process.env[`LLM_PROVIDER_${key}`]
+    || process.env.LLM_PROVIDER
+    || defaults.provider;
+  if (!PROVIDERS[provider]) throw new Error(`Unknown LLM provider "${provider}".`);
+
+  // A model override only makes sense for the provider it was written for, so the
+  // route default is dropped as soon as the provider differs from it.
+  const model = overrides.model
+    || process.env[`LLM_MODEL_${key}`]
+    || (provider === defaults.provider ? defaults.model : PROVIDERS[provider].defaultModel);
+
+  return { provider, model };
+}
+
+function isRetryable(err) {
+  if (err.name === "AbortError" || err.code === "ERR_CANCELED") return false;
+  const status = err.response?.status;
+  if (!status) return true; // network error or timeout
+  return status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Sends a chat completion through the provider configured for `route`.
+ *
+ * @param {object} req
+ * @param {string} req.route       one of the ROUTE_DEFAULTS keys
+ * @param {Array}  req.messages    chat messages; user content may be an array of
+ *                                 { type: "text", text } and { type: "image", path, name? } parts
+ * @param {boolean} [req.json]     ask the provider for a JSON object response
+ * @param {object} [req.meta]      hints for the mock provider (e.g. rubricCodes)
+ * @param {string} [req.provider]  per-call provider override
+ * @param {string} [req.model]     per-call model override
+ * @param {AbortSignal} [req.signal] aborts the request (client disconnect, job cancel)
+ * @param {function(string)} [req.onToken] stream the completion, one delta at a time
+ * @returns {Promise<{ text: string, usage: object, provider: string, model: string }>}
+ */
+async function complete(req) {
+  const { provider, model } = resolveRoute(req.route, req);
+  const impl = PROVIDERS[provider];
+
+  let attempt = 0;
+  let streamed = false;
+  const onToken = req.onToken && ((token) => {
+    streamed = true;
+    req.onToken(token);
+  });
+
+  for (;;) {
+    if (req.signal?.aborted) throw Object.assign(new Error("Request cancelled."), { name: "AbortError" });
+    try {
+      const call = { ...req, model, timeoutMs: TIMEOUT_MS, onToken };
+      const res = onToken ? await impl.stream(call) : await impl.complete(call);
+      const usage = normalizeUsage(res.usage);
+      console.log(`📊 [llm] ${req.route} via ${provider}/${model}: ${usage.totalTokens} tokens`);
+      return { text: res.text || "", usage, provider, model };
+    } catch (err) {
+      if (attempt >= MAX_RETRIES || streamed || !isRetryable(err)) throw err;
+      const delay = 1000 * 2 ** attempt + Math.floor(Math.random() * 250);
+      attempt++;
+      console.warn(`⚠️ [llm] ${req.route} failed (${err.response?.status || err.message}); retry ${attempt}/${MAX_RETRIES} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+function normalizeUsage(usage = {}) {
+  const promptTokens = usage.prompt_tokens ?? usage.promptTokens ?? 0;
+  const completionTokens = usage.completion_tokens ?? usage.completionTokens ?? 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens ?? usage.totalTokens ?? promptTokens + completionTokens,
+  };
+}
+
+// Sums usage across several calls (e.g. grading retries).
+function addUsage(total, usage) {
+  return {
+    promptTokens: (total?.promptTokens || 0) + (usage?.promptTokens || 0),
+    completionTokens: (total?.completionTokens || 0) + (usage?.completionTokens || 0),
+    totalTokens: (total?.totalTokens || 0) + (usage?.totalTokens || 0),
+  };
+}
+
+/**
+ * Removes files that providers keep for us (currently OpenAI vision uploads) and that
+ * are older than `maxAgeMs`. Returns how many were removed.
+ */
+async function sweepRemoteFiles({ maxAgeMs }) {
+  let removed = 0;
+  for (const [name, impl] of Object.entries(PROVIDERS)) {
+    if (!impl.sweepFiles) continue;
+    try {
+      removed += await impl.sweepFiles({ maxAgeMs });
+    } catch (err) {
+      console.warn(`⚠️ [llm] Could not sweep ${name} files: ${err.message}`);
+    }
+  }
+  return removed;
+}
+
+module.exports = { complete, resolveRoute, addUsage, sweepRemoteFiles };
@@ -0,0 +1,98 @@
+// Deterministic, offline provider backed by JSON fixtures.
+//
+// Each route has a fixture file `<route>.json` in lib/llm/fixtures (or in
+// LLM_MOCK_FIXTURES_DIR, checked first). A fixture is
+//
+//   { "responses": [{ "match": "regex", "text": "..." | "json": {...} }], "default": { ... } }
+//
+// `match` is tested (case-insensitive) against the last user message; an entry with a
+// `model` only answers calls for that model (useful for multi-model grading). For JSON
+// responses, a `components` object is expanded into one entry per code in
+// `meta.rubricCodes` (and `standardsAlignment` per code in `meta.standardCodes`):
+// the "*" entry is the template and per-code keys override it.
+//
+// LLM_MOCK_LATENCY_MS adds an artificial delay (cancellable through the signal),
+// which is handy for exercising timeouts, job cancellation and progress UIs.
+
+const fs = require("fs");
+const path = require("path");
+
+const BUILTIN_DIR = path.join(__dirname, "fixtures");
+const LATENCY_MS = parseInt(process.env.LLM_MOCK_LATENCY_MS, 10) || 0;
+
+function loadFixture(route) {
+  const dirs = [process.env.LLM_MOCK_FIXTURES_DIR, BUILTIN_DIR].filter(Boolean);
+  for (const dir of dirs) {
+    const file = path.join(dir, `${route}.json`);
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  throw new Error(`No mock fixture for route "${route}".`);
+}
+
+function messageText(message) {
+  if (!message) return "";
+  if (!Array.isArray(message.content)) return String(message.content);
+  return message.content.filter((p) => p.type === "text").map((p) => p.text).join("\n");
+}
+
+function expandByCode(json, key, codes = []) {
+  if (!json[key] || Array.isArray(json[key])) return json;
+  const { "*": template = {}, ...overrides } = json[key];
+  return {
+    ...json,
+    [key]: codes.map((code) => ({ ...template, ...(overrides[code] || {}), code })),
+  };
+}
+
+function countTokens(text) {
+  return Math.ceil(text.split(/\s+/).filter(Boolean).length * 1.3);
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error("Request cancelled."), { name: "AbortError" }));
+    }, { once: true });
+  });
+}
+
+async function complete({ route, model, messages, meta = {}, signal }) {
+  if (LATENCY_MS) await delay(LATENCY_MS, signal);
+  return respond(route, model, messages, meta);
+}
+
+// Emits the fixture text in small chunks, spreading LLM_MOCK_LATENCY_MS across them.
+async function stream({ route, model, messages, meta = {}, signal, onToken }) {
+  const res = respond(route, model, messages, meta);
+  const chunks = res.text.match(/[\s\S]{1,24}/g) || [];
+  for (const chunk of chunks) {
+    if (LATENCY_MS) await delay(Math.ceil(LATENCY_MS / chunks.length), signal);
+    if (signal?.aborted) throw Object.assign(new Error("Request cancelled."), { name: "AbortError" });
+    onToken(chunk);
+  }
+  return res;
+}
+
+function respond(route, model, messages, meta) {
+  const fixture = loadFixture(route);
+  const lastUser = messageText([...messages].reverse().find((m) => m.role === "user"));
+
+  const entry = (fixture.responses || [])
+    .find((r) => (!r.model || r.model === model) && new RegExp(r.match, "i").test(lastUser))
+    || fixture.default;
+  if (!entry) throw new Error(`Mock fixture for "${route}" has no matching response.`);
+
+  let text = entry.text;
+  if (entry.json !== undefined) {
+    const json = expandByCode(entry.json, "components", meta.rubricCodes);
+    text = JSON.stringify(expandByCode(json, "standardsAlignment", meta.standardCodes));
+  }
+
+  const promptTokens = countTokens(messages.map(messageText).join("\n"));
+  const completionTokens = countTokens(text);
+  return { text, usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens } };
+}
+
+module.exports = { defaultModel: "mock", complete, stream };
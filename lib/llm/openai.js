@@ -0,0 +1,162 @@
+// OpenAI provider. Text-only requests use Chat Completions; requests with image
+// parts go through the configured Assistant (OPENAI_ASSISTANT_ID) so its stored
+// instructions still apply to handwritten submissions.
+//
+// Student work must not stay in the OpenAI account: the images uploaded for a run and
+// the thread are deleted when the run ends, however it ends. Uploads carry a name
+// prefix so that sweepFiles() can find and remove any a crash left behind.
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const FormData = require("form-data");
+const { toChatContent, streamChat } = require("./openrouter");
+
+const API_BASE = "https://api.openai.com/v1";
+const POLL_INTERVAL_MS = 2000;
+const FILE_PREFIX = "smartasses-";
+
+function authHeaders() {
+  return { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` };
+}
+
+function hasImages(messages) {
+  return messages.some((m) => Array.isArray(m.content) && m.content.some((p) => p.type === "image"));
+}
+
+function chatPayload({ model, messages, json }) {
+  const payload = {
+    model,
+    messages: messages.map((m) => ({ role: m.role, content: toChatContent(m.content) })),
+  };
+  if (json) payload.response_format = { type: "json_object" };
+  return payload;
+}
+
+async function completeChat(req) {
+  const res = await axios.post(`${API_BASE}/chat/completions`, chatPayload(req), {
+    headers: { ...authHeaders(), "Content-Type": "application/json" },
+    timeout: req.timeoutMs,
+    signal: req.signal,
+  });
+  return { text: res.data.choices?.[0]?.message?.content || "", usage: res.data.usage };
+}
+
+async function uploadImage(part, { timeoutMs, signal }) {
+  const form = new FormData();
+  form.append("file", fs.createReadStream(part.path), FILE_PREFIX + (part.name || path.basename(part.path)));
+  form.append("purpose", "vision");
+  const res = await axios.post(`${API_BASE}/files`, form, {
+    headers: { ...authHeaders(), ...form.getHeaders() },
+    timeout: timeoutMs,
+    signal,
+  });
+  return res.data.id;
+}
+
+async function completeWithAssistant({ messages, timeoutMs, signal }) {
+  if (!process.env.OPENAI_ASSISTANT_ID) throw new Error("OPENAI_ASSISTANT_ID is not configured.");
+
+  const headers = { ...authHeaders(), "Content-Type": "application/json", "OpenAI-Beta": "assistants=v2" };
+  const opts = { headers, timeout: timeoutMs, signal };
+
+  const threadResp = await axios.post(`${API_BASE}/threads`, {}, opts);
+  const threadId = threadResp.data.id;
+  const fileIds = [];
+
+  try {
+    return await runThread(threadId, fileIds, { messages, timeoutMs, signal, headers, opts });
+  } finally {
+    // Not tied to the request's signal: a cancelled run still has to be cleaned up.
+    await removeRemote(`threads/${threadId}`, headers);
+    for (const id of fileIds) await removeRemote(`files/${id}`, headers);
+  }
+}
+
+async function removeRemote(resource, headers) {
+  try {
+    await axios.delete(`${API_BASE}/${resource}`, { headers, timeout: 30000 });
+  } catch (err) {
+    if (err.response?.status !== 404) console.warn(`⚠️ Could not delete OpenAI ${resource}: ${err.message}`);
+  }
+}
+
+async function runThread(threadId, fileIds, { messages, timeoutMs, signal, headers, opts }) {
+  // System messages have no place in a thread; the assistant carries its own instructions,
+  // so they are sent as the opening user message instead.
+  for (const m of messages) {
+    const parts = Array.isArray(m.content) ? m.content : [{ type: "text", text: m.content }];
+    const content = [];
+    for (const part of parts) {
+      if (part.type === "image") {
+        const fileId = await uploadImage(part, opts);
+        fileIds.push(fileId);
+        content.push({ type: "image_file", image_file: { file_id: fileId } });
+      } else {
+        content.push({ type: "text", text: part.text });
+      }
+    }
+    const role = m.role === "assistant" ? "assistant" : "user";
+    await axios.post(`${API_BASE}/threads/${threadId}/messages`, { role, content }, opts);
+  }
+
+  const runResp = await axios.post(
+    `${API_BASE}/threads/${threadId}/runs`,
+    { assistant_id: process.env.OPENAI_ASSISTANT_ID },
+    opts
+  );
+  const runId = runResp.data.id;
+  const deadline = Date.now() + timeoutMs;
+
+  let run = runResp.data;
+  while (["in_progress", "queued"].includes(run.status)) {
+    if (signal?.aborted) {
+      await axios.post(`${API_BASE}/threads/${threadId}/runs/${runId}/cancel`, {}, { headers }).catch(() => {});
+      throw Object.assign(new Error("Request cancelled."), { name: "AbortError" });
+    }
+    if (Date.now() > deadline) throw new Error("Assistant run timed out.");
+    await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
+    run = (await axios.get(`${API_BASE}/threads/${threadId}/runs/${runId}`, opts)).data;
+    console.log("⏳ Run status", run.status);
+  }
+
+  if (run.status !== "completed") throw new Error(`Assistant run ${run.status}.`);
+
+  const messagesResp = await axios.get(`${API_BASE}/threads/${threadId}/messages`, opts);
+  const reply = messagesResp.data.data.find((m) => m.role === "assistant");
+  return { text: reply?.content?.[0]?.text?.value || "", usage: run.usage };
+}
+
+async function complete(req) {
+  return hasImages(req.messages) ? completeWithAssistant(req) : completeChat(req);
+}
+
+// Assistant runs can't be streamed here; their reply arrives as a single token.
+async function stream(req) {
+  if (hasImages(req.messages)) {
+    const res = await completeWithAssistant(req);
+    if (res.text) req.onToken(res.text);
+    return res;
+  }
+  return streamChat(
+    `${API_BASE}/chat/completions`,
+    { ...authHeaders(), "Content-Type": "application/json" },
+    { ...chatPayload(req), stream_options: { include_usage: true } },
+    req
+  );
+}
+
+/**
+ * Deletes uploads of this server (by name prefix) older than `maxAgeMs` that a crash
+ * or a failed delete left behind. Returns how many were removed.
+ */
+async function sweepFiles({ maxAgeMs }) {
+  if (!process.env.OPENAI_API_KEY) return 0;
+  const res = await axios.get(`${API_BASE}/files`, { headers: authHeaders(), params: { purpose: "vision" }, timeout: 30000 });
+  const cutoff = (Date.now() - maxAgeMs) / 1000;
+  const stale = (res.data.data || []).filter((f) => f.filename?.startsWith(FILE_PREFIX) && f.created_at < cutoff);
+  for (const file of stale) await removeRemote(`files/${file.id}`, authHeaders());
+  return stale.length;
+}
+
+module.exports = { defaultModel: "gpt-4o", complete, stream, sweepFiles };
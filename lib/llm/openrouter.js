@@ -0,0 +1,104 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+const API_URL = "https://openrouter.ai/api/v1/chat/completions";
+
+const MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+};
+
+// { type: "image", path, name? } parts become inline data URLs. `name` carries the
+// original filename when `path` is an extensionless upload.
+function toChatContent(content) {
+  if (!Array.isArray(content)) return content;
+  return content.map((part) => {
+    if (part.type !== "image") return part;
+    const mime = MIME_TYPES[path.extname(part.name || part.path).toLowerCase()] || "image/png";
+    const data = fs.readFileSync(part.path).toString("base64");
+    return { type: "image_url", image_url: { url: `data:${mime};base64,${data}` } };
+  });
+}
+
+/**
+ * POSTs a chat completion with `stream: true` to an OpenAI-compatible endpoint and
+ * feeds each content delta to `onToken`. Resolves with the full text and the usage
+ * block the API sends with its final chunk.
+ */
+async function streamChat(url, headers, payload, { timeoutMs, signal, onToken }) {
+  const res = await axios.post(url, { ...payload, stream: true }, {
+    headers,
+    timeout: timeoutMs,
+    signal,
+    responseType: "stream",
+  });
+
+  let text = "";
+  let usage = null;
+  let buffer = "";
+
+  await new Promise((resolve, reject) => {
+    res.data.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        // Blank keep-alives and ": comment" lines carry no data.
+        if (!line.startsWith("data:")) continue;
+        const data = line.slice(5).trim();
+        if (!data || data === "[DONE]") continue;
+
+        try {
+          const event = JSON.parse(data);
+          if (event.usage) usage = event.usage;
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onToken(delta);
+          }
+        } catch (err) {
+          console.warn("⚠️ [llm] Unparseable stream chunk:", data.slice(0, 200));
+        }
+      }
+    });
+    res.data.on("end", resolve);
+    res.data.on("error", reject);
+  });
+
+  return { text, usage };
+}
+
+function buildRequest({ model, messages, json }) {
+  const headers = {
+    Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
+    "Content-Type": "application/json",
+  };
+
+  const payload = {
+    model,
+    messages: messages.map((m) => ({ role: m.role, content: toChatContent(m.content) })),
+  };
+  if (json) payload.response_format = { type: "json_object" };
+
+  return { headers, payload };
+}
+
+async function complete(req) {
+  const { headers, payload } = buildRequest(req);
+  const res = await axios.post(API_URL, payload, { headers, timeout: req.timeoutMs, signal: req.signal });
+  return {
+    text: res.data.choices?.[0]?.message?.content || "",
+    usage: res.data.usage,
+  };
+}
+
+async function stream(req) {
+  const { headers, payload } = buildRequest(req);
+  return streamChat(API_URL, headers, { ...payload, usage: { include: true } }, req);
+}
+
+module.exports = { defaultModel: "x-ai/grok-4-fast", complete, stream, toChatContent, streamChat };
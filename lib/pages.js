@@ -0,0 +1,154 @@
+// Page images for uploaded handwritten work. A submission can be one PDF, one photo or
+// several photos of the same work; PDFs are rendered one image per page by
+// convert_pdf_pymupdf.py (PDF_RENDER_ZOOM, default 2, capped at IMAGE_MAX_DIMENSION
+// pixels). Every page then goes through lib/preprocess before any model sees it.
+// A submission has at most UPLOAD_MAX_PAGES pages (lib/uploads), counted before any
+// page is rendered.
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { MAX_DIMENSION, captureTime, preprocessImage } = require("./preprocess");
+const { FORMATS, detectFormat } = require("./extract");
+const { UPLOAD_DIR, MAX_PAGES } = require("./uploads");
+
+const SCRIPT = path.join(__dirname, "..", "convert_pdf_pymupdf.py");
+const PDF_ZOOM = Number(process.env.PDF_RENDER_ZOOM) || 2;
+const PAGE_ORDERS = ["auto", "name", "upload"];
+const TOO_MANY_PAGES = 3; // exit status of the script when maxPages is exceeded
+
+class PageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PageError";
+    this.status = status;
+  }
+}
+
+function convertPdfToImages(pdfPath, outputDir, { maxPages = MAX_PAGES } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("python", [SCRIPT, pdfPath, outputDir, String(PDF_ZOOM), String(MAX_DIMENSION), String(maxPages)]);
+
+    let data = "";
+    let error = "";
+
+    child.stdout.on("data", (chunk) => {
+      data += chunk.toString();
+    });
+
+    child.stderr.on("data", (chunk) => {
+      error += chunk.toString();
+    });
+
+    child.on("error", (err) => reject(`Could not start PDF conversion: ${err.message}`));
+
+    child.on("close", (code) => {
+      if (code === TOO_MANY_PAGES) {
+        let message = `The PDF has more than ${maxPages} pages.`;
+        try {
+          message = JSON.parse(data).error || message;
+        } catch {}
+        return reject(new PageError(message, 413));
+      }
+      if (code !== 0) {
+        console.error("Python Error:", error || data);
+        return reject(error || "PDF conversion failed");
+      }
+      try {
+        const result = JSON.parse(data);
+        if (result.success) resolve(result.pages);
+        else reject(result.error || "Unknown error from Python");
+      } catch (err) {
+        reject("Invalid JSON output from Python: " + err.message);
+      }
+    });
+  });
+}
+
+// "pdf", "image" or null (documents and unsupported files), from the file's content.
+function fileKind(file) {
+  const format = file.format || detectFormat(file.path, file.originalname);
+  if (format === "pdf") return "pdf";
+  return FORMATS[format]?.kind === "pages" ? "image" : null;
+}
+
+function normalizePageOrder(value) {
+  const order = value ? String(value).trim().toLowerCase() : "auto";
+  if (!PAGE_ORDERS.includes(order)) {
+    throw new PageError(`Unknown page order "${value}". Use one of: ${PAGE_ORDERS.join(", ")}.`);
+  }
+  return order;
+}
+
+const byName = (a, b) => a.originalname.localeCompare(b.originalname, undefined, { numeric: true, sensitivity: "base" });
+
+// Puts the files of one submission in page order. "auto" uses the photos' capture
+// times when every file is a photo that has one, and the file names otherwise
+// (IMG_0012 before IMG_0013, page2 before page10); "upload" keeps the order sent.
+async function orderFiles(files, order) {
+  if (order === "upload" || files.length < 2) return files;
+  if (order === "auto" && files.every((f) => fileKind(f) === "image")) {
+    const times = await Promise.all(files.map((f) => captureTime(f.path)));
+    if (times.every(Boolean)) {
+      return files
+        .map((file, i) => ({ file, time: times[i].getTime() }))
+        .sort((a, b) => a.time - b.time || byName(a.file, b.file))
+        .map(({ file }) => file);
+    }
+  }
+  return [...files].sort(byName);
+}
+
+function tooManyPages(maxPages) {
+  return new PageError(`A submission can have at most ${maxPages} pages.`, 413);
+}
+
+/**
+ * Page images of uploaded files (multer file objects) as preprocessed LLM image parts,
+ * in page order. `order` is "auto", "name" or "upload" (see orderFiles). Throws a 413
+ * PageError past `maxPages` pages. Call `cleanup()` when done to remove the page
+ * images; the uploads are left alone.
+ */
+async function loadPages(files, { order = "auto", maxPages = MAX_PAGES } = {}) {
+  files = Array.isArray(files) ? files : [files];
+  const ordered = await orderFiles(files, normalizePageOrder(order));
+  const photos = ordered.filter((f) => fileKind(f) !== "pdf").length;
+  if (photos > maxPages) throw tooManyPages(maxPages);
+
+  const workDir = path.join(UPLOAD_DIR, `pages-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  const cleanup = () => fs.rmSync(workDir, { recursive: true, force: true });
+
+  try {
+    fs.mkdirSync(workDir, { recursive: true });
+    const sources = [];
+    for (const [i, file] of ordered.entries()) {
+      if (fileKind(file) === "pdf") {
+        // Photos still to come count against the budget too.
+        const budget = maxPages - photos - sources.filter((s) => s.fromPdf).length;
+        if (budget < 1) throw tooManyPages(maxPages);
+        const pages = await convertPdfToImages(file.path, path.join(workDir, `pdf-${i + 1}`), { maxPages: budget });
+        console.log(`📄 PDF converted into ${pages.length} pages`);
+        sources.push(...pages.map((pagePath) => ({ path: pagePath, name: file.originalname, fromPdf: true })));
+      } else {
+        sources.push({ path: file.path, name: file.originalname });
+      }
+    }
+
+    const parts = [];
+    for (const [i, source] of sources.entries()) {
+      const output = path.join(workDir, `page_${String(i + 1).padStart(3, "0")}.png`);
+      try {
+        const page = await preprocessImage(source.path, output);
+        parts.push({ type: "image", path: page.path });
+      } catch (err) {
+        throw new PageError(`Could not read ${source.name} as an image: ${err.message}`, 415);
+      }
+    }
+    return { parts, cleanup };
+  } catch (err) {
+    cleanup();
+    throw err;
+  }
+}
+
+module.exports = { PageError, convertPdfToImages, fileKind, normalizePageOrder, loadPages };
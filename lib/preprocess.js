@@ -0,0 +1,350 @@
+// Preprocessing for photographed and scanned pages, run on every page image before it
+// is sent to a model (see lib/pages). A page is decoded (HEIC included), turned upright
+// from its EXIF orientation, downscaled, cropped to the sheet of paper, cleaned up for
+// faint pencil (uneven lighting flattened, contrast stretched, paper thresholded to
+// white) and deskewed. The result is a grayscale PNG without metadata.
+//
+// Configuration (env):
+//   IMAGE_PREPROCESS      "off" only converts HEIC and applies the EXIF orientation
+//   IMAGE_MAX_DIMENSION   longest side in pixels after downscaling (default 2048)
+//   IMAGE_THRESHOLD       "auto" (default), "off" (contrast only) or a gray level 1-254
+
+const fs = require("fs");
+const sharp = require("sharp");
+const heicConvert = require("heic-convert");
+const exifReader = require("exif-reader");
+
+const ENABLED = process.env.IMAGE_PREPROCESS !== "off";
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 2048;
+const THRESHOLD = (process.env.IMAGE_THRESHOLD || "auto").toLowerCase();
+
+const HEIC_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"];
+const MAX_SKEW = 10; // degrees searched either way
+const MIN_SKEW = 0.3; // smaller angles are left alone
+const BLOCK = 32; // background estimation cell, in pixels
+
+function isHeic(buffer) {
+  return buffer.length > 12
+    && buffer.toString("ascii", 4, 8) === "ftyp"
+    && HEIC_BRANDS.includes(buffer.toString("ascii", 8, 12));
+}
+
+// Prebuilt sharp reads AVIF but not HEVC-coded HEIC (iPhone photos), so those are
+// decoded to JPEG first. Files heic-convert rejects (AVIF under a generic brand) go
+// to sharp as they are.
+async function decode(buffer) {
+  if (!isHeic(buffer)) return buffer;
+  try {
+    return Buffer.from(await heicConvert({ buffer, format: "JPEG", quality: 0.95 }));
+  } catch (err) {
+    console.warn(`⚠️ HEIC decoding failed (${err.message}); trying the image as-is.`);
+    return buffer;
+  }
+}
+
+/** EXIF capture time of a photo as a Date, or null (no EXIF, scans, screenshots). */
+async function captureTime(filePath) {
+  try {
+    const { exif } = await sharp(fs.readFileSync(filePath)).metadata();
+    const tags = exif ? exifReader(exif) : null;
+    const taken = tags?.Photo?.DateTimeOriginal || tags?.Image?.DateTime;
+    return taken instanceof Date && !Number.isNaN(taken.getTime()) ? taken : null;
+  } catch {
+    return null;
+  }
+}
+
+function histogram(data) {
+  const hist = new Uint32Array(256);
+  for (let i = 0; i < data.length; i++) hist[data[i]]++;
+  return hist;
+}
+
+function percentile(hist, total, fraction) {
+  let seen = 0;
+  for (let v = 0; v < 256; v++) {
+    seen += hist[v];
+    if (seen >= total * fraction) return v;
+  }
+  return 255;
+}
+
+// Otsu's method: the gray level that best separates the histogram into two classes.
+function otsu(hist, total) {
+  let sum = 0;
+  for (let v = 0; v < 256; v++) sum += v * hist[v];
+
+  let sumBelow = 0;
+  let countBelow = 0;
+  let best = 127;
+  let bestVariance = -1;
+  for (let t = 0; t < 256; t++) {
+    countBelow += hist[t];
+    if (!countBelow) continue;
+    const countAbove = total - countBelow;
+    if (!countAbove) break;
+    sumBelow += t * hist[t];
+    const meanBelow = sumBelow / countBelow;
+    const meanAbove = (sum - sumBelow) / countAbove;
+    const variance = countBelow * countAbove * (meanBelow - meanAbove) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      best = t;
+    }
+  }
+  return best;
+}
+
+// Bounding box of the paper: rows and columns that are mostly brighter than `level`.
+// Returns null when the box is implausible or would not trim anything.
+function pageBounds({ data, width, height }, level) {
+  const rowBright = new Uint32Array(height);
+  const colBright = new Uint32Array(width);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] > level) {
+        rowBright[y]++;
+        colBright[x]++;
+      }
+    }
+  }
+
+  const span = (counts, size, length) => {
+    let first = -1;
+    let last = -1;
+    for (let i = 0; i < length; i++) {
+      if (counts[i] > size / 2) {
+        if (first === -1) first = i;
+        last = i;
+      }
+    }
+    return [first, last];
+  };
+  const [top, bottom] = span(rowBright, width, height);
+  const [left, right] = span(colBright, height, width);
+  if (top === -1 || left === -1) return null;
+
+  const margin = Math.round(Math.max(width, height) * 0.01);
+  const box = {
+    left: Math.max(0, left - margin),
+    top: Math.max(0, top - margin),
+    width: Math.min(width, right + margin + 1) - Math.max(0, left - margin),
+    height: Math.min(height, bottom + margin + 1) - Math.max(0, top - margin),
+  };
+  const area = (box.width * box.height) / (width * height);
+  if (area < 0.25 || area > 0.97) return null;
+  return box;
+}
+
+function crop({ data, width }, box) {
+  const out = Buffer.alloc(box.width * box.height);
+  for (let y = 0; y < box.height; y++) {
+    const start = (box.top + y) * width + box.left;
+    data.copy(out, y * box.width, start, start + box.width);
+  }
+  return { data: out, width: box.width, height: box.height };
+}
+
+// Whitens what is left of the desk around a tilted page: everything darker than the
+// paper that is connected to the image border.
+function clearMargins({ data, width, height }, level) {
+  const seen = new Uint8Array(data.length);
+  const stack = [];
+  const push = (i) => {
+    if (!seen[i] && data[i] <= level) {
+      seen[i] = 1;
+      stack.push(i);
+    }
+  };
+  for (let x = 0; x < width; x++) {
+    push(x);
+    push((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    push(y * width);
+    push(y * width + width - 1);
+  }
+
+  const out = Buffer.from(data);
+  while (stack.length) {
+    const i = stack.pop();
+    out[i] = 255;
+    const x = i % width;
+    if (x > 0) push(i - 1);
+    if (x < width - 1) push(i + 1);
+    if (i >= width) push(i - width);
+    if (i < data.length - width) push(i + width);
+  }
+  return { data: out, width, height };
+}
+
+// Paper brightness around every pixel: the 90th percentile of each BLOCK x BLOCK cell
+// (ink is a small minority), smoothed over neighbouring cells and interpolated.
+function background({ data, width, height }) {
+  const cols = Math.ceil(width / BLOCK);
+  const rows = Math.ceil(height / BLOCK);
+  const cells = new Float32Array(cols * rows);
+  const hist = new Uint32Array(256);
+
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      hist.fill(0);
+      let count = 0;
+      for (let y = cy * BLOCK; y < Math.min(height, (cy + 1) * BLOCK); y++) {
+        for (let x = cx * BLOCK; x < Math.min(width, (cx + 1) * BLOCK); x++) {
+          hist[data[y * width + x]]++;
+          count++;
+        }
+      }
+      cells[cy * cols + cx] = Math.max(percentile(hist, count, 0.9), 1);
+    }
+  }
+
+  const smooth = new Float32Array(cells.length);
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      let sum = 0;
+      let n = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const y = cy + dy;
+          const x = cx + dx;
+          if (y >= 0 && y < rows && x >= 0 && x < cols) {
+            sum += cells[y * cols + x];
+            n++;
+          }
+        }
+      }
+      smooth[cy * cols + cx] = sum / n;
+    }
+  }
+
+  return (x, y) => {
+    const fx = Math.min(Math.max(x / BLOCK - 0.5, 0), cols - 1);
+    const fy = Math.min(Math.max(y / BLOCK - 0.5, 0), rows - 1);
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(x0 + 1, cols - 1);
+    const y1 = Math.min(y0 + 1, rows - 1);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const top = smooth[y0 * cols + x0] * (1 - tx) + smooth[y0 * cols + x1] * tx;
+    const bottom = smooth[y1 * cols + x0] * (1 - tx) + smooth[y1 * cols + x1] * tx;
+    return top * (1 - ty) + bottom * ty;
+  };
+}
+
+// Divides out the lighting, stretches the ink to full contrast and (unless disabled)
+// turns everything paper-coloured pure white while keeping pencil strokes gray.
+function enhance(img) {
+  const { data, width, height } = img;
+  const paper = background(img);
+  const flat = Buffer.alloc(data.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      flat[i] = Math.min(255, Math.round((data[i] * 255) / paper(x, y)));
+    }
+  }
+
+  const hist = histogram(flat);
+  const ink = percentile(hist, flat.length, 0.005);
+  let level = null;
+  if (THRESHOLD === "auto") level = Math.min(Math.max(otsu(hist, flat.length), 96), 235);
+  else if (THRESHOLD !== "off" && Number(THRESHOLD) > 0 && Number(THRESHOLD) < 255) level = Number(THRESHOLD);
+
+  const out = Buffer.alloc(flat.length);
+  const top = level ?? percentile(hist, flat.length, 0.995);
+  const range = Math.max(top - ink, 1);
+  for (let i = 0; i < flat.length; i++) {
+    const v = flat[i];
+    if (level !== null && v >= level) out[i] = 255;
+    else out[i] = Math.min(Math.max(Math.round(((v - ink) / range) * (level !== null ? 192 : 255)), 0), 255);
+  }
+  return { data: out, width, height };
+}
+
+// Projection-profile deskew: the angle at which ink pixels, projected onto rotated rows,
+// pile up into the sharpest text lines. Positive angles mean lines run downhill.
+function skewAngle({ data, width, height }) {
+  const step = Math.max(1, Math.ceil(Math.max(width, height) / 800));
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      if (data[y * width + x] < 128) {
+        xs.push(x / step);
+        ys.push(y / step);
+      }
+    }
+  }
+  if (xs.length < 200) return 0;
+
+  const rowsOffset = Math.ceil(Math.hypot(width, height) / step);
+  const bins = new Uint32Array(rowsOffset * 2 + 1);
+  const score = (degrees) => {
+    const a = (degrees * Math.PI) / 180;
+    const sin = Math.sin(a);
+    const cos = Math.cos(a);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) bins[Math.round(ys[i] * cos - xs[i] * sin) + rowsOffset]++;
+    let total = 0;
+    for (let i = 0; i < bins.length; i++) total += bins[i] * bins[i];
+    return total;
+  };
+  const search = (from, to, by) => {
+    let best = { angle: 0, score: -1 };
+    for (let angle = from; angle <= to + 1e-9; angle += by) {
+      const s = score(angle);
+      if (s > best.score) best = { angle, score: s };
+    }
+    return best.angle;
+  };
+
+  const coarse = search(-MAX_SKEW, MAX_SKEW, 0.5);
+  return Math.round(search(coarse - 0.5, coarse + 0.5, 0.1) * 10) / 10;
+}
+
+function raw(img) {
+  return sharp(img.data, { raw: { width: img.width, height: img.height, channels: 1 } });
+}
+
+/**
+ * Preprocesses one page image (path or Buffer) into `outputPath` (.png). With
+ * IMAGE_PREPROCESS=off the page is only decoded and oriented, and written as JPEG
+ * to `outputPath` with its extension swapped. Resolves with
+ * { path, width, height, cropped, skew }.
+ */
+async function preprocessImage(input, outputPath) {
+  const buffer = await decode(Buffer.isBuffer(input) ? input : fs.readFileSync(input));
+
+  if (!ENABLED) {
+    const jpegPath = outputPath.replace(/\.\w+$/, ".jpg");
+    const info = await sharp(buffer).rotate().jpeg({ quality: 90 }).toFile(jpegPath);
+    return { path: jpegPath, width: info.width, height: info.height, cropped: false, skew: 0 };
+  }
+
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: "inside", withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+    .grayscale()
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let img = { data, width: info.width, height: info.height };
+  const paperLevel = otsu(histogram(data), data.length);
+  const box = pageBounds(img, paperLevel);
+  if (box) img = clearMargins(crop(img, box), paperLevel);
+  img = enhance(img);
+
+  const skew = skewAngle(img);
+  let pipeline = raw(img);
+  if (Math.abs(skew) >= MIN_SKEW) pipeline = pipeline.rotate(-skew, { background: "#ffffff" });
+  const out = await pipeline.png().toFile(outputPath);
+
+  return { path: outputPath, width: out.width, height: out.height, cropped: Boolean(box), skew };
+}
+
+module.exports = { MAX_DIMENSION, isHeic, captureTime, preprocessImage };
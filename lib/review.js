@@ -0,0 +1,358 @@
+// Teacher review of AI gradings: a teacher can correct component scores, feedback text
+// and the overall score of a stored grading. The report is regenerated in the record's
+// format and marked "teacher-reviewed".
+//
+// The AI's own result is kept once, in `aiResult`, the first time a grading is reviewed;
+// every review after that appends to `reviews`:
+//   { at, teacherId, note, changes: [{ field, ai, from, to }] }
+// where `field` is "overallScore", "feedbackToStudent", "feedbackToTeacher" or
+// "components.<code>.<score|explanation|evidence|suggestions>".
+//
+// Overrides (AI score vs teacher score per rubric component, across reviewed gradings)
+// can be exported to measure how often the AI is wrong on each component.
+
+const fs = require("fs");
+const path = require("path");
+const { getDb } = require("./db");
+const { getSubmission, listSubmissions, extractScores } = require("./submissions");
+const { RubricError, getRubric } = require("./rubrics");
+const { TranscriptionError, getTranscript, describeTranscript } = require("./transcription");
+const { renderGradingMarkdown } = require("./grading");
+const { exportDocument } = require("./export");
+const { getBranding } = require("./branding");
+const { assessIntegrity } = require("./integrity");
+const { toCsv, updateBatchResult } = require("./batch");
+
+const PDF_DIR = path.join(__dirname, "..", "pdfs");
+const REVIEWED = "teacher-reviewed";
+const TEXT_FIELDS = ["feedbackToStudent", "feedbackToTeacher"];
+const COMPONENT_TEXT_FIELDS = ["explanation"];
+const COMPONENT_LIST_FIELDS = ["evidence", "suggestions"];
+const MAX_NOTE_LENGTH = 2000;
+
+class ReviewError extends Error {
+  constructor(message, status = 400, errors = []) {
+    super(message);
+    this.name = "ReviewError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+async function getGrading(teacherId, id) {
+  const record = await getSubmission(teacherId, id);
+  if (!record) throw new ReviewError("Submission not found.", 404);
+  if (record.type !== "grade" || !Array.isArray(record.result?.components)) {
+    throw new ReviewError("Only structured grading results can be reviewed.", 409);
+  }
+  return record;
+}
+
+// The rubric the grading used, for score bounds and level descriptors. A custom rubric
+// deleted since grading falls back to the result's own scale, without descriptors.
+async function gradingRubric(teacherId, record) {
+  const id = record.inputs?.rubricId || record.result.rubric?.id;
+  try {
+    return id ? await getRubric(teacherId, id) : null;
+  } catch (err) {
+    if (err instanceof RubricError) return null;
+    throw err;
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function toStringList(value) {
+  if (typeof value === "string") value = [value];
+  if (!Array.isArray(value)) return null;
+  return value.map((v) => String(v).trim()).filter(Boolean);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Checks a teacher edit against the grading and rubric and returns the updated result
+ * plus the list of changed fields. `edits` is
+ *   { overallScore, feedbackToStudent, feedbackToTeacher,
+ *     components: [{ code, score, explanation, evidence, suggestions }] }
+ * with every key optional; evidence and suggestions are lists (a string is one item).
+ */
+function applyEdits(result, edits, rubric) {
+  const errors = [];
+  const minScore = rubric ? rubric.minScore : 0;
+  const maxScore = result.maxScore;
+  const next = structuredClone(result);
+  const changes = [];
+  const change = (field, from, to) => {
+    if (!sameValue(from, to)) changes.push({ field, from, to });
+  };
+
+  if (!edits || typeof edits !== "object" || Array.isArray(edits)) {
+    throw new ReviewError("Review must be a JSON object.");
+  }
+
+  if (edits.overallScore !== undefined) {
+    const score = Number(edits.overallScore);
+    if (edits.overallScore === null || edits.overallScore === "" || !Number.isFinite(score) || score < 0 || score > maxScore) {
+      errors.push(`"overallScore" must be a number between 0 and ${maxScore}.`);
+    } else {
+      next.overallScore = Math.round(score * 100) / 100;
+      change("overallScore", result.overallScore, next.overallScore);
+    }
+  }
+
+  for (const field of TEXT_FIELDS) {
+    if (edits[field] === undefined) continue;
+    if (!isNonEmptyString(edits[field])) {
+      errors.push(`"${field}" must be a non-empty string.`);
+      continue;
+    }
+    next[field] = edits[field].trim();
+    change(field, result[field], next[field]);
+  }
+
+  if (edits.components !== undefined && !Array.isArray(edits.components)) {
+    errors.push(`"components" must be an array of { code, ... } edits.`);
+  }
+  const seen = new Set();
+  (Array.isArray(edits.components) ? edits.components : []).forEach((entry, i) => {
+    const code = typeof entry?.code === "string" ? entry.code.trim() : "";
+    const component = next.components.find((c) => c.code === code);
+    if (!component) return errors.push(`components[${i}]: unknown rubric code "${code}".`);
+    if (seen.has(code)) return errors.push(`Rubric code ${code} appears more than once.`);
+    seen.add(code);
+
+    if (entry.score !== undefined) {
+      const score = Number(entry.score);
+      if (entry.score === null || entry.score === "" || !Number.isInteger(score) || score < minScore || score > maxScore) {
+        errors.push(`${code}: "score" must be an integer from ${minScore} to ${maxScore}.`);
+      } else if (score !== component.score) {
+        change(`components.${code}.score`, component.score, score);
+        const criterion = rubric?.criteria.find((c) => c.code === code);
+        component.score = score;
+        component.level = rubric?.levels.find((l) => l.score === score)?.label || null;
+        component.descriptor = criterion?.descriptors[score] || null;
+      }
+    }
+
+    for (const field of COMPONENT_TEXT_FIELDS) {
+      if (entry[field] === undefined) continue;
+      if (!isNonEmptyString(entry[field])) {
+        errors.push(`${code}: "${field}" must be a non-empty string.`);
+        continue;
+      }
+      change(`components.${code}.${field}`, component[field], entry[field].trim());
+      component[field] = entry[field].trim();
+    }
+
+    for (const field of COMPONENT_LIST_FIELDS) {
+      if (entry[field] === undefined) continue;
+      const list = toStringList(entry[field]);
+      if (!list?.length) {
+        errors.push(`${code}: "${field}" needs at least one item.`);
+        continue;
+      }
+      change(`components.${code}.${field}`, component[field], list);
+      component[field] = list;
+    }
+  });
+
+  if (typeof edits.note === "string" && edits.note.length > MAX_NOTE_LENGTH) {
+    errors.push(`"note" is limited to ${MAX_NOTE_LENGTH} characters.`);
+  }
+
+  if (errors.length) throw new ReviewError("Invalid review.", 400, errors);
+  return { result: next, changes };
+}
+
+// The AI's value for a changed field, read from the original result.
+function aiValue(aiResult, field) {
+  const [head, code, key] = field.split(".");
+  if (head !== "components") return aiResult[head];
+  return aiResult.components.find((c) => c.code === code)?.[key];
+}
+
+// Writes the report again from the reviewed record, in its format. Returns the new
+// report's URL; the previous file is left for the caller to remove.
+async function renderReport(teacherId, record) {
+  let transcript = null;
+  if (record.inputs?.transcriptId) {
+    try {
+      transcript = describeTranscript(await getTranscript(teacherId, record.inputs.transcriptId));
+    } catch (err) {
+      if (!(err instanceof TranscriptionError)) throw err;
+    }
+  }
+
+  return exportDocument(renderGradingMarkdown(record.result, { transcript }), {
+    format: record.format || "pdf",
+    baseName: "grading",
+    dir: PDF_DIR,
+    title: "SmartAsses | Grading Report",
+    template: "grading",
+    data: record.result,
+    branding: await getBranding(teacherId),
+  });
+}
+
+// Reviews of one grading run one after another, each starting from the record the
+// previous one saved, so overlapping requests neither drop an audit entry nor leave a
+// replaced report behind.
+const pending = new Map(); // submission id -> the latest queued review
+
+function queueReview(id, task) {
+  const run = (pending.get(id) || Promise.resolve()).catch(() => {}).then(task);
+  pending.set(id, run);
+  run.catch(() => {}).finally(() => {
+    if (pending.get(id) === run) pending.delete(id);
+  });
+  return run;
+}
+
+/**
+ * Applies a teacher's edits to a stored grading, records them in the audit trail and
+ * regenerates the report. A review without changes still marks the grading as reviewed
+ * (the teacher confirmed the AI's result). `edits.note` is an optional comment kept
+ * with the audit entry. The stored record only changes once the new report is written.
+ */
+function reviewGrading(teacherId, id, edits) {
+  return queueReview(id, () => applyReview(teacherId, id, edits));
+}
+
+async function applyReview(teacherId, id, edits) {
+  const record = await getGrading(teacherId, id);
+  const rubric = await gradingRubric(teacherId, record);
+  const { result, changes } = applyEdits(record.result, edits, rubric);
+
+  const aiResult = record.aiResult || record.result;
+  const at = new Date().toISOString();
+  const overridden = result.components
+    .filter((c) => c.score !== aiResult.components.find((a) => a.code === c.code)?.score)
+    .map((c) => c.code);
+  result.review = { status: REVIEWED, reviewedAt: at, overridden };
+  // Score-vs-evidence findings describe the scores they were computed from.
+  if (result.integrity) {
+    const scale = rubric || { minScore: 0, maxScore: result.maxScore };
+    result.integrity = assessIntegrity(result, scale, { text: record.inputs?.submission ?? null });
+  }
+
+  const reviewed = {
+    aiResult,
+    result,
+    scores: extractScores(record.type, result),
+    reviewStatus: REVIEWED,
+    reviews: [
+      ...(record.reviews || []),
+      {
+        at,
+        teacherId,
+        note: isNonEmptyString(edits.note) ? edits.note.trim() : null,
+        changes: changes.map((c) => ({ field: c.field, ai: aiValue(aiResult, c.field) ?? null, from: c.from, to: c.to })),
+      },
+    ],
+  };
+  const pdfUrl = await renderReport(teacherId, { ...record, ...reviewed });
+
+  const db = await getDb();
+  const previousPath = record.pdfPath;
+  Object.assign(record, reviewed, { pdfUrl, pdfPath: path.join("pdfs", decodeURIComponent(path.basename(pdfUrl))) });
+  updateBatchResult(db, record);
+  await db.write();
+
+  if (previousPath) fs.rmSync(path.join(PDF_DIR, path.basename(previousPath)), { force: true });
+  return record;
+}
+
+/** The audit trail of one grading: the AI original, the current result and every review. */
+async function getReview(teacherId, id) {
+  const record = await getGrading(teacherId, id);
+  return {
+    submissionId: record.id,
+    status: record.reviewStatus || "ai",
+    aiResult: record.aiResult || record.result,
+    result: record.result,
+    reviews: record.reviews || [],
+  };
+}
+
+/**
+ * One row per rubric component of every reviewed grading, AI score against teacher
+ * score. Filters are those of listSubmissions, plus `rubricId`.
+ */
+async function listOverrides(teacherId, filters = {}) {
+  const records = await listSubmissions(teacherId, { ...filters, type: "grade" });
+  return records
+    .filter((r) => r.reviewStatus === REVIEWED && r.aiResult)
+    .filter((r) => !filters.rubricId || r.result.rubric?.id === filters.rubricId)
+    .flatMap((r) => r.result.components.map((c) => {
+      const ai = r.aiResult.components.find((a) => a.code === c.code);
+      const textEdited = [...COMPONENT_TEXT_FIELDS, ...COMPONENT_LIST_FIELDS].some((f) => !sameValue(ai?.[f], c[f]));
+      return {
+        submissionId: r.id,
+        reviewedAt: r.result.review?.reviewedAt || null,
+        rubricId: r.result.rubric?.id || null,
+        rubricName: r.result.rubric?.name || null,
+        subject: r.subject,
+        gradeLevel: r.gradeLevel,
+        studentId: r.studentId,
+        code: c.code,
+        name: c.name,
+        aiScore: ai?.score ?? null,
+        teacherScore: c.score,
+        delta: ai ? c.score - ai.score : null,
+        overridden: ai ? c.score !== ai.score : false,
+        textEdited,
+      };
+    }));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Per rubric component: how many reviewed gradings scored it, how often the teacher
+// changed the AI's score, and by how much on average (teacher minus AI).
+function summarizeOverrides(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row.rubricId}\u0000${row.code}`;
+    if (!groups.has(key)) groups.set(key, { rubricId: row.rubricId, rubricName: row.rubricName, code: row.code, name: row.name, rows: [] });
+    groups.get(key).rows.push(row);
+  }
+
+  return [...groups.values()].map(({ rows: group, ...component }) => {
+    const scored = group.filter((r) => r.delta !== null);
+    const overridden = group.filter((r) => r.overridden);
+    return {
+      ...component,
+      reviewed: group.length,
+      overridden: overridden.length,
+      overrideRate: group.length ? round(overridden.length / group.length) : 0,
+      meanDelta: scored.length ? round(scored.reduce((sum, r) => sum + r.delta, 0) / scored.length) : 0,
+      meanAbsoluteDelta: scored.length ? round(scored.reduce((sum, r) => sum + Math.abs(r.delta), 0) / scored.length) : 0,
+      textEdited: group.filter((r) => r.textEdited).length,
+    };
+  });
+}
+
+const OVERRIDE_COLUMNS = [
+  "submissionId", "reviewedAt", "rubricId", "rubricName", "subject", "gradeLevel", "studentId",
+  "code", "name", "aiScore", "teacherScore", "delta", "overridden", "textEdited",
+];
+
+function overridesCsv(rows) {
+  return toCsv([OVERRIDE_COLUMNS, ...rows.map((row) => OVERRIDE_COLUMNS.map((col) => row[col]))]);
+}
+
+module.exports = {
+  ReviewError,
+  reviewGrading,
+  getReview,
+  listOverrides,
+  summarizeOverrides,
+  overridesCsv,
+};
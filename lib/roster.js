@@ -0,0 +1,168 @@
+// Classes, students and assignments owned by a teacher.
+
+const crypto = require("crypto");
+const { getDb } = require("./db");
+
+class RosterError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RosterError";
+    this.status = status;
+  }
+}
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+// Per-collection field handling: `required` fields must be non-empty on create,
+// `build` turns a request body into the stored fields (only keys present in the
+// body are returned, so it doubles as the PATCH sanitizer).
+const COLLECTIONS = {
+  classes: {
+    label: "Class",
+    required: ["name", "gradeLevel"],
+    build: (body) => pick(body, {
+      name: text,
+      gradeLevel: (v) => text(String(v ?? "")),
+      subject: text,
+      period: text,
+    }),
+  },
+  students: {
+    label: "Student",
+    required: ["classId", "firstName", "lastName"],
+    build: (body) => pick(body, {
+      classId: text,
+      firstName: text,
+      lastName: text,
+      studentNumber: text,
+    }),
+  },
+  assignments: {
+    label: "Assignment",
+    required: ["classId", "title"],
+    build: (body) => pick(body, {
+      classId: text,
+      title: text,
+      description: text,
+      subject: text,
+      dueDate: text,
+    }),
+  },
+};
+
+function pick(body, fields) {
+  const out = {};
+  for (const [key, clean] of Object.entries(fields)) {
+    if (body[key] !== undefined) out[key] = clean(body[key]);
+  }
+  return out;
+}
+
+function config(collection) {
+  const cfg = COLLECTIONS[collection];
+  if (!cfg) throw new Error(`Unknown roster collection "${collection}".`);
+  return cfg;
+}
+
+function ensureClass(db, teacherId, classId) {
+  if (!db.data.classes.some((c) => c.id === classId && c.teacherId === teacherId)) {
+    throw new RosterError("Class not found.", 404);
+  }
+}
+
+function validate(db, teacherId, collection, fields, { partial }) {
+  const cfg = config(collection);
+  for (const key of cfg.required) {
+    if (partial && fields[key] === undefined) continue;
+    if (!fields[key]) throw new RosterError(`"${key}" is required.`);
+  }
+  if (fields.classId) ensureClass(db, teacherId, fields.classId);
+  if (fields.dueDate && isNaN(new Date(fields.dueDate).getTime())) {
+    throw new RosterError(`"dueDate" must be a valid date.`);
+  }
+}
+
+async function listRecords(teacherId, collection, filters = {}) {
+  const db = await getDb();
+  return db.data[collection].filter((r) => r.teacherId === teacherId
+    && Object.entries(filters).every(([k, v]) => v === undefined || r[k] === v));
+}
+
+async function getRecord(teacherId, collection, id) {
+  const db = await getDb();
+  const record = db.data[collection].find((r) => r.id === id && r.teacherId === teacherId);
+  if (!record) throw new RosterError(`${config(collection).label} not found.`, 404);
+  return record;
+}
+
+async function createRecord(teacherId, collection, body = {}) {
+  const db = await getDb();
+  const fields = config(collection).build(body);
+  validate(db, teacherId, collection, fields, { partial: false });
+
+  const now = new Date().toISOString();
+  const record = { id: crypto.randomUUID(), teacherId, ...fields, createdAt: now, updatedAt: now };
+  await db.update((data) => data[collection].push(record));
+  return record;
+}
+
+async function updateRecord(teacherId, collection, id, body = {}) {
+  const db = await getDb();
+  const record = await getRecord(teacherId, collection, id);
+  const fields = config(collection).build(body);
+  validate(db, teacherId, collection, fields, { partial: true });
+
+  Object.assign(record, fields, { updatedAt: new Date().toISOString() });
+  await db.write();
+  return record;
+}
+
+async function deleteRecord(teacherId, collection, id) {
+  const db = await getDb();
+  await getRecord(teacherId, collection, id);
+
+  if (collection === "classes") {
+    const inUse = db.data.students.some((s) => s.classId === id)
+      || db.data.assignments.some((a) => a.classId === id);
+    if (inUse) throw new RosterError("Remove the class's students and assignments first.", 409);
+  }
+
+  db.data[collection] = db.data[collection].filter((r) => r.id !== id);
+  await db.write();
+}
+
+/**
+ * Resolves the student/assignment referenced by a grading request.
+ * The grade level comes from the class when one is linked; otherwise the
+ * request's own gradeLevel is used.
+ */
+async function resolveGradingContext(teacherId, { studentId, assignmentId, gradeLevel }) {
+  const student = studentId ? await getRecord(teacherId, "students", studentId) : null;
+  const assignment = assignmentId ? await getRecord(teacherId, "assignments", assignmentId) : null;
+
+  if (student && assignment && student.classId !== assignment.classId) {
+    throw new RosterError("Student and assignment belong to different classes.");
+  }
+
+  const classId = student?.classId || assignment?.classId || null;
+  const klass = classId ? await getRecord(teacherId, "classes", classId) : null;
+
+  return {
+    student,
+    assignment,
+    class: klass,
+    gradeLevel: klass?.gradeLevel || gradeLevel,
+  };
+}
+
+module.exports = {
+  RosterError,
+  listRecords,
+  getRecord,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+  resolveGradingContext,
+};
@@ -0,0 +1,238 @@
+// Rubric library: built-in rubrics from rubrics/*.json (per subject and grade band),
+// the legacy CEL teacher-observation rubric, and custom rubrics uploaded by teachers.
+//
+// Normalized rubric shape:
+//   { id, name, subjects: [], grades: { min, max }, levels: [{ score, label }] (high -> low),
+//     minScore, maxScore, criteria: [{ code, name, category, descriptors: { "<score>": text } }] }
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getDb } = require("./db");
+
+const RUBRICS_DIR = path.join(__dirname, "..", "rubrics");
+const CEL_PATH = path.join(__dirname, "..", "structured_cel_rubric.json");
+const CEL_ID = "cel-teacher-observation";
+const FALLBACK_ID = "general-writing";
+
+class RubricError extends Error {
+  constructor(message, status = 400, errors = []) {
+    super(message);
+    this.name = "RubricError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+function validateRubric(data) {
+  const errors = [];
+  if (!data || typeof data !== "object") return ["Rubric must be a JSON object."];
+  if (typeof data.name !== "string" || !data.name.trim()) errors.push(`"name" is required.`);
+
+  if (data.subjects !== undefined && (!Array.isArray(data.subjects) || !data.subjects.every((s) => typeof s === "string" && s.trim()))) {
+    errors.push(`"subjects" must be a list of subject names.`);
+  }
+
+  // Descriptors are keyed by level score, so they can only be checked once the levels are valid.
+  let scores = null;
+  if (!Array.isArray(data.levels) || data.levels.length < 2) {
+    errors.push(`"levels" must list at least two { score, label } entries.`);
+  } else {
+    const seen = new Set();
+    data.levels.forEach((l, i) => {
+      if (!Number.isInteger(l?.score)) errors.push(`levels[${i}].score must be an integer.`);
+      else if (seen.has(l.score)) errors.push(`Duplicate level score ${l.score}.`);
+      else seen.add(l.score);
+      if (typeof l?.label !== "string" || !l.label.trim()) errors.push(`levels[${i}].label is required.`);
+    });
+    if (seen.size === data.levels.length) scores = new Set([...seen].map(String));
+  }
+
+  if (!Array.isArray(data.criteria) || !data.criteria.length) {
+    errors.push(`"criteria" must be a non-empty array.`);
+  } else {
+    const seen = new Set();
+    data.criteria.forEach((c, i) => {
+      if (typeof c?.code !== "string" || !c.code.trim()) errors.push(`criteria[${i}].code is required.`);
+      else if (seen.has(c.code)) errors.push(`Duplicate criterion code ${c.code}.`);
+      else seen.add(c.code);
+      if (typeof c?.name !== "string" || !c.name.trim()) errors.push(`criteria[${i}].name is required.`);
+      if (!c?.descriptors || typeof c.descriptors !== "object" || !Object.keys(c.descriptors).length) {
+        errors.push(`criteria[${i}].descriptors needs at least one level descriptor.`);
+      } else if (scores) {
+        const unknown = Object.keys(c.descriptors).filter((k) => !scores.has(k));
+        if (unknown.length) errors.push(`criteria[${i}].descriptors has keys that are not level scores: ${unknown.join(", ")}.`);
+      }
+    });
+  }
+
+  if (data.grades && !(Number.isInteger(data.grades.min) && Number.isInteger(data.grades.max))) {
+    errors.push(`"grades" must be { min, max } with integer grades.`);
+  } else if (data.grades && data.grades.min > data.grades.max) {
+    errors.push(`"grades.min" cannot be above "grades.max".`);
+  }
+  return errors;
+}
+
+function normalizeRubric(data, extra = {}) {
+  const levels = [...data.levels]
+    .map((l) => ({ score: l.score, label: l.label.trim() }))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    id: data.id,
+    name: data.name.trim(),
+    description: data.description || "",
+    subjects: Array.isArray(data.subjects) ? data.subjects.map((s) => s.trim()) : [],
+    grades: data.grades || { min: 1, max: 12 },
+    levels,
+    maxScore: levels[0].score,
+    minScore: levels[levels.length - 1].score,
+    criteria: data.criteria.map((c) => ({
+      code: c.code.trim(),
+      name: c.name.trim(),
+      category: c.category || "",
+      descriptors: Object.fromEntries(Object.entries(c.descriptors).map(([k, v]) => [String(k), String(v)])),
+    })),
+    ...extra,
+  };
+}
+
+// The original classroom-observation rubric; only its "distinguished" (4) text exists.
+function loadCelRubric() {
+  const raw = JSON.parse(fs.readFileSync(CEL_PATH, "utf8"));
+  const criteria = [];
+  Object.entries(raw).forEach(([criterion, details]) => {
+    Object.entries(details).forEach(([code, { component, distinguished }]) => {
+      criteria.push({ code, name: component, category: criterion, descriptors: { 4: distinguished } });
+    });
+  });
+
+  return normalizeRubric({
+    id: CEL_ID,
+    name: "CEL 5D+ Teacher Observation",
+    description: "Classroom-observation rubric. Only used when selected explicitly.",
+    levels: [
+      { score: 4, label: "Distinguished" },
+      { score: 3, label: "Proficient" },
+      { score: 2, label: "Basic" },
+      { score: 1, label: "Unsatisfactory" },
+    ],
+    criteria,
+  }, { builtin: true, autoSelect: false });
+}
+
+let builtins = null;
+
+function loadBuiltinRubrics() {
+  if (builtins) return builtins;
+  builtins = new Map();
+
+  for (const file of fs.readdirSync(RUBRICS_DIR).filter((f) => f.endsWith(".json")).sort()) {
+    const data = JSON.parse(fs.readFileSync(path.join(RUBRICS_DIR, file), "utf8"));
+    const errors = validateRubric(data);
+    if (errors.length || !data.id) {
+      console.warn(`⚠️ [rubrics] Skipping ${file}:`, errors.length ? errors : ["missing id"]);
+      continue;
+    }
+    builtins.set(data.id, normalizeRubric(data, { builtin: true, autoSelect: true }));
+  }
+
+  const cel = loadCelRubric();
+  builtins.set(cel.id, cel);
+  console.log(`📐 Loaded ${builtins.size} built-in rubrics`);
+  return builtins;
+}
+
+function coversGrade(rubric, grade) {
+  return !Number.isInteger(grade) || (grade >= rubric.grades.min && grade <= rubric.grades.max);
+}
+
+async function listRubrics(teacherId, { subject, grade } = {}) {
+  if ([subject, grade].some((v) => v !== undefined && typeof v !== "string")) {
+    throw new RubricError("'subject' and 'grade' must each be given once.");
+  }
+  const db = await getDb();
+  const parsedGrade = parseInt(grade, 10);
+  const all = [
+    ...loadBuiltinRubrics().values(),
+    ...db.data.rubrics.filter((r) => r.teacherId === teacherId),
+  ];
+  return all
+    .filter((r) => !subject || !r.subjects.length || r.subjects.some((s) => typeof s === "string" && s.toLowerCase() === subject.toLowerCase()))
+    .filter((r) => coversGrade(r, parsedGrade));
+}
+
+async function getRubric(teacherId, id) {
+  const builtin = loadBuiltinRubrics().get(id);
+  if (builtin) return builtin;
+
+  const db = await getDb();
+  const custom = db.data.rubrics.find((r) => r.id === id && r.teacherId === teacherId);
+  if (!custom) throw new RubricError("Rubric not found.", 404);
+  return custom;
+}
+
+/**
+ * Picks the rubric for a grading request: the explicit `rubricId` if given, otherwise
+ * the built-in rubric for the subject and grade (subject-specific before general).
+ */
+async function resolveRubric(teacherId, { rubricId, subject, gradeLevel } = {}) {
+  if (rubricId) return getRubric(teacherId, rubricId);
+
+  const grade = parseInt(gradeLevel, 10);
+  const candidates = [...loadBuiltinRubrics().values()]
+    .filter((r) => r.autoSelect && coversGrade(r, grade));
+
+  const specific = subject && candidates.find((r) => r.subjects.includes(subject));
+  return specific || candidates.find((r) => !r.subjects.length) || loadBuiltinRubrics().get(FALLBACK_ID);
+}
+
+async function createCustomRubric(teacherId, data) {
+  const errors = validateRubric(data);
+  if (errors.length) throw new RubricError("Invalid rubric.", 400, errors);
+
+  const db = await getDb();
+  const rubric = normalizeRubric({ ...data, id: `custom-${crypto.randomUUID()}` }, {
+    builtin: false,
+    autoSelect: false,
+    teacherId,
+    createdAt: new Date().toISOString(),
+  });
+  await db.update(({ rubrics }) => rubrics.push(rubric));
+  return rubric;
+}
+
+async function deleteCustomRubric(teacherId, id) {
+  if (loadBuiltinRubrics().has(id)) throw new RubricError("Built-in rubrics cannot be deleted.", 403);
+
+  const db = await getDb();
+  const before = db.data.rubrics.length;
+  db.data.rubrics = db.data.rubrics.filter((r) => !(r.id === id && r.teacherId === teacherId));
+  if (db.data.rubrics.length === before) throw new RubricError("Rubric not found.", 404);
+  await db.write();
+}
+
+// Prompt section listing every criterion with its level descriptors.
+function formatRubricForPrompt(rubric) {
+  const scale = rubric.levels.map((l) => `${l.score} = ${l.label}`).join(", ");
+  const criteria = rubric.criteria.map((c) => {
+    const descriptors = rubric.levels
+      .filter((l) => c.descriptors[l.score])
+      .map((l) => `   ${l.score} (${l.label}): ${c.descriptors[l.score]}`)
+      .join("\n");
+    return `${c.code}${c.category ? ` (${c.category})` : ""} - ${c.name}\n${descriptors}`;
+  });
+  return `Rubric: ${rubric.name}\nScale: ${scale}\n\n${criteria.join("\n\n")}`;
+}
+
+module.exports = {
+  RubricError,
+  loadBuiltinRubrics,
+  listRubrics,
+  getRubric,
+  resolveRubric,
+  createCustomRubric,
+  deleteCustomRubric,
+  formatRubricForPrompt,
+};
@@ -0,0 +1,36 @@
+// Server-Sent Events helpers.
+
+/**
+ * Switches `res` to an event stream. The returned `signal` aborts when the client
+ * disconnects before `close()` is called, so upstream work can be cancelled.
+ */
+function openEventStream(req, res) {
+  const controller = new AbortController();
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // stop nginx-style proxies from buffering the stream
+  });
+  res.flushHeaders?.();
+
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      console.log("🔌 SSE client disconnected");
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,320 @@
+// Grade-level standards catalog.
+//
+// Every `<Subject>(<band>).json` file in STANDARDS_DIR (the repo root by default) is
+// validated and indexed once: `History(7).json` covers grade 7, `SS(6-8).json` covers
+// grades 6 through 8. Subjects are normalized, so `Econimics(8).json` is filed under
+// Economics. Each standard becomes a flat, coded entry:
+//
+//   { code, subject, grades: { min, max }, band, domain, domainTitle, description, region }
+//
+// Social studies files already carry codes (e.g. "SSS1.6-8.1"). ELA files only list
+// statements per domain, so those get CCSS-style codes: ELA.<band>.<domain>.<n>.
+
+const fs = require("fs");
+const path = require("path");
+
+const STANDARDS_DIR = process.env.STANDARDS_DIR || path.join(__dirname, "..");
+const FILE_PATTERN = /^([A-Za-z ]+)\((\d+)(?:-(\d+))?\)\.json$/;
+
+class StandardsError extends Error {
+  constructor(message, status = 400, errors = []) {
+    super(message);
+    this.name = "StandardsError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const ELA_DOMAIN_CODES = {
+  "Reading: Literature": "RL",
+  "Reading: Informational Text": "RI",
+  "Reading: Foundational Skills": "RF",
+  Writing: "W",
+  "Speaking and Listening": "SL",
+  Language: "L",
+};
+
+// Names teachers and the subject classifier use for each catalog subject. Only whole
+// names match, so "Business" or "Classics" are not mistaken for a subject they contain.
+// "Econimics" is how several of the standards files are spelled.
+const SUBJECT_ALIASES = {
+  ELA: ["ela", "english", "english language arts", "english/language arts", "language arts"],
+  SS: ["ss", "social studies", "social studies skills"],
+  History: ["history"],
+  Geography: ["geography"],
+  Civics: ["civics"],
+  Economics: ["economics", "econimics", "econ"],
+};
+const SUBJECT_BY_ALIAS = new Map(
+  Object.entries(SUBJECT_ALIASES).flatMap(([subject, aliases]) => aliases.map((alias) => [alias, subject]))
+);
+
+/**
+ * Catalog subject key for a subject name: an alias above, or a subject only known from
+ * its standards files (matched case-insensitively). Anything else is returned trimmed.
+ */
+function normalizeSubjectName(subjectRaw) {
+  const name = subjectRaw.trim().replace(/\s+/g, " ");
+  const lower = name.toLowerCase();
+  if (SUBJECT_BY_ALIAS.has(lower)) return SUBJECT_BY_ALIAS.get(lower);
+  return loadStandardsCatalog().files.find((f) => f.subject.toLowerCase() === lower)?.subject || name;
+}
+
+function elaDomainCode(domain) {
+  return ELA_DOMAIN_CODES[domain] || domain.split(/[^A-Za-z]+/).filter(Boolean).map((w) => w[0].toUpperCase()).join("");
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+// Returns a list of problems; empty when the file has one of the two known shapes.
+function validateStandardsFile(data) {
+  const errors = [];
+  if (!data || typeof data !== "object") return ["File must contain a JSON object."];
+  if (!isNonEmptyString(data.subject)) errors.push(`"subject" is required.`);
+  if (!Array.isArray(data.standards) || !data.standards.length) {
+    errors.push(`"standards" must be a non-empty array.`);
+    return errors;
+  }
+
+  data.standards.forEach((domain, i) => {
+    if (!isNonEmptyString(domain?.domain)) errors.push(`standards[${i}].domain is required.`);
+    if (Array.isArray(domain?.components)) {
+      domain.components.forEach((c, j) => {
+        if (!isNonEmptyString(c?.code)) errors.push(`standards[${i}].components[${j}].code is required.`);
+        if (!isNonEmptyString(c?.description)) errors.push(`standards[${i}].components[${j}].description is required.`);
+      });
+    } else if (Array.isArray(domain?.standards)) {
+      if (!domain.standards.every(isNonEmptyString)) errors.push(`standards[${i}].standards must be strings.`);
+    } else {
+      errors.push(`standards[${i}] needs a "components" or "standards" array.`);
+    }
+  });
+  return errors;
+}
+
+// Flattens one validated file into catalog entries.
+function flattenStandards(data, { subject, grades, band }) {
+  return data.standards.flatMap((domain) => {
+    if (Array.isArray(domain.components)) {
+      return domain.components.map((c) => ({
+        code: c.code.trim(),
+        subject,
+        grades,
+        band,
+        domain: domain.domain,
+        domainTitle: domain.title || "",
+        description: c.description.trim(),
+        region: c.region || null,
+      }));
+    }
+    const prefix = `ELA.${band}.${elaDomainCode(domain.domain)}`;
+    return domain.standards.map((text, i) => ({
+      code: `${prefix}.${i + 1}`,
+      subject,
+      grades,
+      band,
+      domain: domain.domain,
+      domainTitle: domain.domain,
+      description: text.trim(),
+      region: null,
+    }));
+  });
+}
+
+let catalog = null;
+
+/**
+ * Reads and indexes every standards file. Invalid files are skipped with a warning;
+ * the result is cached for the life of the process.
+ */
+function loadStandardsCatalog() {
+  if (catalog) return catalog;
+  catalog = { files: [], byCode: new Map() };
+
+  for (const file of fs.readdirSync(STANDARDS_DIR).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(STANDARDS_DIR, file), "utf8"));
+    } catch (err) {
+      console.warn(`⚠️ [standards] Skipping ${file}: ${err.message}`);
+      continue;
+    }
+    const errors = validateStandardsFile(data);
+    if (errors.length) {
+      console.warn(`⚠️ [standards] Skipping ${file}:`, errors.slice(0, 5));
+      continue;
+    }
+
+    const min = parseInt(match[2], 10);
+    const max = match[3] ? parseInt(match[3], 10) : min;
+    const meta = {
+      subject: normalizeSubjectName(match[1]),
+      grades: { min, max },
+      band: min === max ? String(min) : `${min}-${max}`,
+    };
+
+    const standards = [];
+    for (const s of flattenStandards(data, meta)) {
+      if (catalog.byCode.has(s.code)) {
+        console.warn(`⚠️ [standards] Duplicate code ${s.code} in ${file}; keeping the first.`);
+        continue;
+      }
+      catalog.byCode.set(s.code, s);
+      standards.push(s);
+    }
+    catalog.files.push({ file, ...meta, standards });
+  }
+
+  console.log(`📚 Indexed ${catalog.byCode.size} standards from ${catalog.files.length} files`);
+  return catalog;
+}
+
+/**
+ * Standards for a subject and/or grade. For each subject, only the narrowest band
+ * covering the grade is used (a single-grade file wins over a 6-8 band).
+ */
+function getStandards({ subject, grade } = {}) {
+  const { files } = loadStandardsCatalog();
+  const wanted = subject ? normalizeSubjectName(subject) : null;
+  const parsedGrade = parseInt(grade, 10);
+  const hasGrade = Number.isInteger(parsedGrade);
+
+  const matching = files.filter((f) =>
+    (!wanted || f.subject === wanted) &&
+    (!hasGrade || (parsedGrade >= f.grades.min && parsedGrade <= f.grades.max)));
+
+  if (!hasGrade) return matching.flatMap((f) => f.standards);
+
+  const bySubject = new Map();
+  for (const f of matching) {
+    const current = bySubject.get(f.subject);
+    const width = f.grades.max - f.grades.min;
+    if (!current || width < current.grades.max - current.grades.min) bySubject.set(f.subject, f);
+  }
+  return [...bySubject.values()].flatMap((f) => f.standards);
+}
+
+function getStandard(code) {
+  return loadStandardsCatalog().byCode.get(code) || null;
+}
+
+// Accepts an array of codes or a comma-separated string (form posts).
+function parseStandardCodes(value) {
+  const list = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : [];
+  return [...new Set(list.map((c) => String(c).trim()).filter(Boolean))];
+}
+
+/**
+ * Standards to put in a generation prompt: the teacher's `codes` when given (all must
+ * exist and, with a `subject`, belong to its standards for `grade`), otherwise every
+ * standard for the subject and grade.
+ * Returns { standards, selected } where `selected` is true for an explicit pick.
+ */
+function selectStandards({ subject, grade, codes }) {
+  const requested = parseStandardCodes(codes);
+  if (!requested.length) return { standards: getStandards({ subject, grade }), selected: false };
+
+  const unknown = requested.filter((code) => !getStandard(code));
+  if (unknown.length) {
+    throw new StandardsError("Unknown standard codes.", 400, unknown.map((c) => `Unknown standard code ${c}.`));
+  }
+  if (subject) {
+    const allowed = new Set(getStandards({ subject, grade }).map((s) => s.code));
+    const outside = requested.filter((code) => !allowed.has(code));
+    if (outside.length) {
+      const scope = `${normalizeSubjectName(subject)}${grade ? ` grade ${grade}` : ""}`;
+      throw new StandardsError(
+        `Standard codes do not belong to ${scope}.`,
+        400,
+        outside.map((c) => `Standard ${c} is not a ${scope} standard.`)
+      );
+    }
+  }
+  return { standards: requested.map(getStandard), selected: true };
+}
+
+// Prompt section listing every standard with its code, grouped by domain.
+function formatStandardsForPrompt(standards) {
+  if (!standards.length) return "📭 No grade-level standards available.";
+
+  const groups = new Map();
+  for (const s of standards) {
+    const heading = s.domainTitle && s.domainTitle !== s.domain ? `${s.domain} - ${s.domainTitle}` : s.domain;
+    if (!groups.has(heading)) groups.set(heading, []);
+    groups.get(heading).push(`- ${s.code}${s.region ? ` [${s.region}]` : ""}: ${s.description}`);
+  }
+  return [...groups].map(([heading, lines]) => `📌 ${heading}\n${lines.join("\n")}`).join("\n\n");
+}
+
+// Prompt block for lesson plans and assignments: the standards plus the tagging rule
+// that buildCoverageMap relies on.
+function buildStandardsPrompt({ standards, selected }) {
+  if (!standards.length) return `📚 Grade-Level Standards:\n${formatStandardsForPrompt(standards)}`;
+
+  return `
+📚 ${selected ? "Selected Standards (address ONLY these, and address every one of them)" : "Grade-Level Standards"}:
+${formatStandardsForPrompt(standards)}
+
+Standards tagging:
+- Tag every activity, assessment item and rubric row with the code of each standard it addresses,
+  in square brackets right after its title, e.g. "Exit Ticket [${standards[0].code}]".
+- Use only codes from the list above.`.trim();
+}
+
+// Section headings: markdown "#" headings or a line that is entirely **bold**.
+function headingOf(line) {
+  const md = line.match(/^#{1,6}\s+(.+?)\s*#*$/);
+  if (md) return md[1];
+  const bold = line.match(/^\*\*(.+?)\*\*:?$/);
+  return bold ? bold[1] : null;
+}
+
+/**
+ * Maps standard codes to the document sections that carry their [CODE] tags.
+ * Selected standards are always listed (with no sections when the output missed them);
+ * otherwise only standards the output actually tagged appear.
+ */
+function buildCoverageMap(text, { standards, selected }) {
+  const known = new Set(standards.map((s) => s.code));
+  const sections = new Map(selected ? standards.map((s) => [s.code, []]) : []);
+  let current = "Overview";
+
+  for (const raw of text.split("\n")) {
+    const line = raw.trim();
+    const heading = headingOf(line);
+    if (heading) current = heading.replace(/\s*\[[^\]]*\]/g, "").replace(/\*\*/g, "").trim() || current;
+
+    for (const [, inner] of line.matchAll(/\[([^\]]+)\]/g)) {
+      for (const code of inner.split(/[,;]/).map((c) => c.trim())) {
+        if (!known.has(code)) continue;
+        if (!sections.has(code)) sections.set(code, []);
+        if (!sections.get(code).includes(current)) sections.get(code).push(current);
+      }
+    }
+  }
+
+  const map = Object.fromEntries(sections);
+  return {
+    standards: map,
+    uncovered: Object.keys(map).filter((code) => !map[code].length),
+  };
+}
+
+module.exports = {
+  StandardsError,
+  normalizeSubjectName,
+  validateStandardsFile,
+  loadStandardsCatalog,
+  getStandards,
+  getStandard,
+  parseStandardCodes,
+  selectStandards,
+  formatStandardsForPrompt,
+  buildStandardsPrompt,
+  buildCoverageMap,
+};
@@ -0,0 +1,117 @@
+// Grading history: every generated report is stored with its inputs, the AI
+// result, parsed scores and the PDF it produced. Records belong to the teacher
+// who created them and every lookup is scoped to that teacher.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getDb } = require("./db");
+
+const PDF_DIR = path.join(__dirname, "..", "pdfs");
+
+function extractScores(type, result) {
+  if (type !== "grade" || !result || typeof result !== "object") return null;
+  return {
+    overall: result.overallScore,
+    components: Object.fromEntries((result.components || []).map((c) => [c.code, c.score])),
+  };
+}
+
+async function createSubmission({
+  teacherId,
+  type,
+  gradeLevel,
+  subject = null,
+  studentId = null,
+  assignmentId = null,
+  classId = null,
+  inputs = {},
+  result,
+  standardsCoverage = null,
+  format = "pdf",
+  pdfUrl,
+  usage = null,
+}) {
+  const db = await getDb();
+  const pdfFile = pdfUrl ? decodeURIComponent(path.basename(pdfUrl)) : null;
+
+  const record = {
+    id: crypto.randomUUID(),
+    teacherId,
+    type,
+    createdAt: new Date().toISOString(),
+    gradeLevel: gradeLevel != null && gradeLevel !== "" ? String(gradeLevel) : null,
+    subject,
+    studentId,
+    assignmentId,
+    classId,
+    inputs,
+    result,
+    scores: extractScores(type, result),
+    standardsCoverage,
+    // The report file; despite the name it can be any export format (see `format`).
+    format,
+    pdfUrl: pdfUrl || null,
+    pdfPath: pdfFile ? path.join("pdfs", pdfFile) : null,
+    usage,
+  };
+
+  await db.update(({ submissions }) => submissions.push(record));
+  return record;
+}
+
+// Filters: type, grade, subject, studentId, assignmentId, classId, from, to (ISO dates, inclusive).
+async function listSubmissions(teacherId, filters = {}) {
+  const db = await getDb();
+  const from = filters.from ? new Date(filters.from) : null;
+  const to = filters.to ? new Date(filters.to) : null;
+  // A bare date ("2025-03-01") as upper bound should include that whole day.
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) to.setUTCHours(23, 59, 59, 999);
+
+  return db.data.submissions
+    .filter((s) => s.teacherId === teacherId)
+    .filter((s) => !filters.type || s.type === filters.type)
+    .filter((s) => !filters.studentId || s.studentId === filters.studentId)
+    .filter((s) => !filters.assignmentId || s.assignmentId === filters.assignmentId)
+    .filter((s) => !filters.classId || s.classId === filters.classId)
+    .filter((s) => !filters.grade || s.gradeLevel === String(filters.grade))
+    .filter((s) => !filters.subject || (s.subject || "").toLowerCase() === String(filters.subject).toLowerCase())
+    .filter((s) => !from || new Date(s.createdAt) >= from)
+    .filter((s) => !to || new Date(s.createdAt) <= to)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function getSubmission(teacherId, id) {
+  const db = await getDb();
+  return db.data.submissions.find((s) => s.id === id && s.teacherId === teacherId) || null;
+}
+
+async function findSubmissionByPdf(teacherId, fileName) {
+  const db = await getDb();
+  const pdfPath = path.join("pdfs", path.basename(fileName));
+  return db.data.submissions.find((s) => s.pdfPath === pdfPath && s.teacherId === teacherId) || null;
+}
+
+// Removes the record and its PDF. Returns false when the id is unknown.
+async function deleteSubmission(teacherId, id) {
+  const db = await getDb();
+  const index = db.data.submissions.findIndex((s) => s.id === id && s.teacherId === teacherId);
+  if (index === -1) return false;
+
+  const [record] = db.data.submissions.splice(index, 1);
+  await db.write();
+
+  if (record.pdfPath) {
+    fs.rmSync(path.join(PDF_DIR, path.basename(record.pdfPath)), { force: true });
+  }
+  return true;
+}
+
+module.exports = {
+  createSubmission,
+  listSubmissions,
+  getSubmission,
+  extractScores,
+  findSubmissionByPdf,
+  deleteSubmission,
+};
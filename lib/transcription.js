@@ -0,0 +1,249 @@
+// Handwriting transcription: reads each page of an uploaded image or PDF into text
+// before grading, so the teacher can check (and correct) what the grader will see.
+// Corrected transcripts are graded through the normal text path.
+//
+// Stored transcript shape (scoped to the teacher who uploaded the file):
+//   { id, teacherId, fileName, status: "draft" | "reviewed", createdAt, updatedAt,
+//     pages: [{ page, text, confidence, unclear: [string], originalText, corrected, unreadable }],
+//     submissionIds: [], usage }
+//
+// `confidence` (0-1) is the model's own estimate of how legible the page was; pages
+// below TRANSCRIPT_REVIEW_CONFIDENCE (default 0.8) are flagged for review. A page the
+// model could not transcribe at all is `unreadable` until the teacher corrects it.
+
+const crypto = require("crypto");
+const llm = require("./llm");
+const { getDb } = require("./db");
+const { fileKind, loadPages } = require("./pages");
+const { extractJson } = require("./grading");
+
+const { addUsage } = llm;
+
+const REVIEW_CONFIDENCE = Number(process.env.TRANSCRIPT_REVIEW_CONFIDENCE) || 0.8;
+const MAX_TRANSCRIPT_CHARS = 50000;
+
+class TranscriptionError extends Error {
+  constructor(message, status = 400, errors = []) {
+    super(message);
+    this.name = "TranscriptionError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const TRANSCRIBE_PROMPT = `
+Transcribe the handwritten student work in this image exactly as written.
+
+- Keep the student's spelling, grammar and punctuation mistakes; do not correct or improve anything.
+- Keep line and paragraph breaks. Ignore printed worksheet text unless the student wrote on it.
+- Write [illegible] for any word you cannot read at all.
+
+Respond with ONLY a JSON object (no markdown fences, no commentary) with this shape:
+
+{
+  "text": string (the transcription; empty if the page has no handwriting),
+  "confidence": number from 0 to 1 (how sure you are the transcription matches what was written),
+  "unclear": [words or phrases you had to guess]
+}
+`.trim();
+
+// Models sometimes answer with a percentage; anything else out of range is rejected.
+function normalizeConfidence(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > 100) return null;
+  return Math.round((n > 1 ? n / 100 : n) * 100) / 100;
+}
+
+function parsePage(text) {
+  let data;
+  try {
+    data = extractJson(text);
+  } catch (err) {
+    return { errors: [`Output is not valid JSON: ${err.message}`] };
+  }
+
+  const errors = [];
+  if (typeof data.text !== "string") errors.push(`"text" must be a string.`);
+  const confidence = normalizeConfidence(data.confidence);
+  if (confidence === null) errors.push(`"confidence" must be a number from 0 to 1.`);
+  if (errors.length) return { errors };
+
+  const unclear = Array.isArray(data.unclear) ? data.unclear.map((u) => String(u).trim()).filter(Boolean) : [];
+  return { value: { text: data.text.trim(), confidence, unclear } };
+}
+
+// One page, one request, so each page gets its own confidence. A rejected answer is
+// retried once with the errors; after that the page is kept empty and marked
+// `unreadable`, and the transcript cannot be graded until the teacher types that page in.
+async function transcribePage(part, { signal } = {}) {
+  const messages = [
+    { role: "system", content: "You are a careful transcriber of handwritten student work. You always answer with valid JSON." },
+    { role: "user", content: [{ type: "text", text: TRANSCRIBE_PROMPT }, part] },
+  ];
+
+  let usage;
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const reply = await llm.complete({ route: "transcribe", messages, json: true, signal });
+    usage = addUsage(usage, reply.usage);
+
+    const parsed = parsePage(reply.text);
+    if (parsed.value) return { ...parsed.value, usage };
+
+    console.warn(`⚠️ Transcription attempt ${attempt}/2 rejected:`, parsed.errors);
+    messages.push(
+      { role: "assistant", content: reply.text },
+      { role: "user", content: `Your previous response was rejected:\n${parsed.errors.map((e) => `- ${e}`).join("\n")}\n\nRespond again with ONLY the corrected JSON object.` }
+    );
+  }
+  return { text: "", confidence: 0, unclear: [], unreadable: true, usage };
+}
+
+/** The text that gets graded: every page, corrections applied, in page order. */
+function transcriptText(transcript) {
+  return transcript.pages.map((p) => p.text).filter(Boolean).join("\n\n");
+}
+
+// Overall confidence, weighted by how much text each page holds.
+function overallConfidence(pages) {
+  const weights = pages.map((p) => Math.max(p.text.length, 1));
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (!total) return null;
+  return Math.round((pages.reduce((sum, p, i) => sum + p.confidence * weights[i], 0) / total) * 100) / 100;
+}
+
+/** API view of a stored transcript. */
+function describeTranscript(transcript) {
+  const { teacherId, ...rest } = transcript;
+  return {
+    ...rest,
+    pages: transcript.pages.map((p) => ({
+      ...p,
+      needsReview: Boolean(p.unreadable) || (!p.corrected && p.confidence < REVIEW_CONFIDENCE),
+    })),
+    confidence: overallConfidence(transcript.pages),
+    text: transcriptText(transcript),
+  };
+}
+
+/**
+ * Transcribes the pages of uploaded handwritten work (a PDF, a photo or several photos,
+ * put in page order by lib/pages) and stores the transcript.
+ */
+async function transcribeUpload(teacherId, files, { order, signal } = {}) {
+  if (!files.every(fileKind)) {
+    throw new TranscriptionError(
+      "Only PDFs and page images can be transcribed; grade typed documents directly with POST /grade.",
+      415
+    );
+  }
+
+  const { parts, cleanup } = await loadPages(files, { order });
+  try {
+    let usage;
+    const pages = [];
+    for (const [i, part] of parts.entries()) {
+      const page = await transcribePage(part, { signal });
+      usage = addUsage(usage, page.usage);
+      pages.push({
+        page: i + 1,
+        text: page.text,
+        confidence: page.confidence,
+        unclear: page.unclear,
+        originalText: page.text,
+        corrected: false,
+        unreadable: Boolean(page.unreadable),
+      });
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      teacherId,
+      fileName: files.map((f) => f.originalname).join(", "),
+      status: "draft",
+      createdAt: now,
+      updatedAt: now,
+      pages,
+      submissionIds: [],
+      usage,
+    };
+    const db = await getDb();
+    await db.update(({ transcripts }) => transcripts.push(record));
+    return record;
+  } finally {
+    cleanup();
+  }
+}
+
+/** Throws unless every page has been read, by the model or the teacher; returns the transcript. */
+function assertGradable(transcript) {
+  const unreadable = transcript.pages.filter((p) => p.unreadable).map((p) => p.page);
+  if (unreadable.length) {
+    throw new TranscriptionError(
+      `Page(s) ${unreadable.join(", ")} could not be transcribed; correct them with PUT /transcribe/${transcript.id} before grading.`,
+      409
+    );
+  }
+  return transcript;
+}
+
+async function getTranscript(teacherId, id) {
+  const db = await getDb();
+  const transcript = db.data.transcripts.find((t) => t.id === id && t.teacherId === teacherId);
+  if (!transcript) throw new TranscriptionError("Transcript not found.", 404);
+  return transcript;
+}
+
+/**
+ * Applies teacher corrections: `pages` is [{ page, text }] for the pages that changed.
+ * The model's reading stays in `originalText`; the transcript becomes "reviewed".
+ */
+async function correctTranscript(teacherId, id, pages) {
+  const transcript = await getTranscript(teacherId, id);
+  if (!Array.isArray(pages) || !pages.length) {
+    throw new TranscriptionError(`"pages" must list at least one { page, text } correction.`);
+  }
+
+  const errors = [];
+  pages.forEach((entry, i) => {
+    if (!transcript.pages.some((p) => p.page === Number(entry?.page))) errors.push(`pages[${i}]: unknown page "${entry?.page}".`);
+    if (typeof entry?.text !== "string") errors.push(`pages[${i}]: "text" must be a string.`);
+  });
+  if (errors.length) throw new TranscriptionError("Invalid transcript correction.", 400, errors);
+
+  const corrections = new Map(pages.map((entry) => [Number(entry.page), entry.text.trim()]));
+  const updated = transcript.pages.map((p) => (corrections.has(p.page) ? { ...p, text: corrections.get(p.page) } : p));
+  if (transcriptText({ pages: updated }).length > MAX_TRANSCRIPT_CHARS) {
+    throw new TranscriptionError(`Transcripts are limited to ${MAX_TRANSCRIPT_CHARS} characters.`);
+  }
+
+  const db = await getDb();
+  transcript.pages = updated.map((p) => ({
+    ...p,
+    corrected: p.text !== p.originalText,
+    unreadable: Boolean(p.unreadable) && !corrections.has(p.page),
+  }));
+  transcript.status = "reviewed";
+  transcript.updatedAt = new Date().toISOString();
+  await db.write();
+  return transcript;
+}
+
+async function linkSubmission(teacherId, id, submissionId) {
+  const transcript = await getTranscript(teacherId, id);
+  transcript.submissionIds.push(submissionId);
+  const db = await getDb();
+  await db.write();
+  return transcript;
+}
+
+module.exports = {
+  TranscriptionError,
+  transcribeUpload,
+  getTranscript,
+  assertGradable,
+  correctTranscript,
+  linkSubmission,
+  transcriptText,
+  describeTranscript,
+};
@@ -0,0 +1,208 @@
+// Multipart uploads: limits, declared content-type checks and cleanup.
+//
+// Uploaded files land in UPLOAD_DIR and are deleted as soon as the response is done,
+// whatever the handler did, unless the handler hands them to a background job with
+// retainUploads() (the job deletes them when it ends). The sweeper removes anything
+// older than UPLOAD_MAX_AGE_HOURS that no unfinished job or batch still uses, and
+// files left with the model provider (lib/llm sweepRemoteFiles).
+//
+// Configuration (env):
+//   UPLOAD_DIR             where uploads and page images are kept (default uploads)
+//   UPLOAD_MAX_FILE_MB     size limit per file (default 25)
+//   UPLOAD_MAX_BATCH_MB    size limit for a batch ZIP (default 200)
+//   UPLOAD_MAX_FILES       files per submission (default 20)
+//   UPLOAD_MAX_PAGES       pages per submission, PDF pages and photos together (default 30)
+//   UPLOAD_MAX_AGE_HOURS   age after which the sweeper deletes leftovers (default 24)
+//   UPLOAD_SWEEP_MINUTES   sweeper interval (default 30; 0 disables it)
+
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const llm = require("./llm");
+const { getDb } = require("./db");
+
+const MB = 1024 * 1024;
+const UPLOAD_DIR = process.env.UPLOAD_DIR || "uploads";
+const MAX_FILE_BYTES = (Number(process.env.UPLOAD_MAX_FILE_MB) || 25) * MB;
+const MAX_BATCH_BYTES = (Number(process.env.UPLOAD_MAX_BATCH_MB) || 200) * MB;
+const MAX_FILES = parseInt(process.env.UPLOAD_MAX_FILES, 10) || 20;
+const MAX_PAGES = parseInt(process.env.UPLOAD_MAX_PAGES, 10) || 30;
+const MAX_AGE_MS = (Number(process.env.UPLOAD_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+const SWEEP_MINUTES = process.env.UPLOAD_SWEEP_MINUTES !== undefined ? Number(process.env.UPLOAD_SWEEP_MINUTES) : 30;
+
+// Declared (client-sent) content types accepted per kind of upload. The content is
+// sniffed again after upload (lib/extract); this only turns away obvious mistakes
+// early. Browsers send application/octet-stream for types they don't know.
+const ZIP_TYPES = ["application/zip", "application/x-zip-compressed", "application/x-zip", "multipart/x-zip"];
+const ACCEPTED_TYPES = {
+  submission: [
+    /^image\//,
+    /^text\//,
+    "application/pdf",
+    "application/rtf",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "application/vnd.oasis.opendocument.text",
+    "application/xhtml+xml",
+    "application/octet-stream",
+    ...ZIP_TYPES,
+  ],
+  batch: [...ZIP_TYPES, "text/csv", "text/plain", "application/vnd.ms-excel", "application/octet-stream"],
+  image: [/^image\//, "application/octet-stream"],
+  json: ["application/json", "text/plain", "application/octet-stream"],
+};
+
+class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "UploadError";
+    this.status = status;
+  }
+}
+
+function typeFilter(kind) {
+  const accepted = ACCEPTED_TYPES[kind];
+  return (req, file, cb) => {
+    const type = (file.mimetype || "").toLowerCase();
+    if (accepted.some((t) => (t instanceof RegExp ? t.test(type) : t === type))) return cb(null, true);
+    cb(new UploadError(`${file.originalname} was sent as ${type || "an unknown type"}, which is not accepted here.`, 415));
+  };
+}
+
+function formatSize(bytes) {
+  return bytes >= MB ? `${+(bytes / MB).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+function limitMessage(err, maxFileSize) {
+  switch (err.code) {
+    case "LIMIT_FILE_SIZE":
+      return [413, `Each file must be at most ${formatSize(maxFileSize)}.`];
+    case "LIMIT_FILE_COUNT":
+      return [413, "Too many files in one request."];
+    case "LIMIT_UNEXPECTED_FILE":
+      return [400, `Unexpected file field "${err.field}".`];
+    default:
+      return [400, err.message];
+  }
+}
+
+/** Every file multer attached to the request, whether from single(), array() or fields(). */
+function uploadedFiles(req) {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+}
+
+function removeFiles(files) {
+  for (const file of files || []) {
+    if (file?.path) fs.rmSync(file.path, { force: true });
+  }
+}
+
+/**
+ * Takes ownership of the request's uploads so they survive the response; the caller
+ * (a background job) must delete them with removeFiles when it is done.
+ */
+function retainUploads(req) {
+  req.uploadsRetained = true;
+  return uploadedFiles(req);
+}
+
+/**
+ * Multer middleware with limits, a content-type check and cleanup. `fields` is a
+ * field name (up to `maxFiles` files in req.files, or req.file when `maxFiles` is 1)
+ * or a multer fields() list.
+ * `accept` is a key of ACCEPTED_TYPES; `memory` keeps files in memory (small uploads
+ * that are read at once, such as logos and rubric JSON).
+ */
+function acceptUploads(fields, { accept = "submission", maxFileSize = MAX_FILE_BYTES, maxFiles = MAX_FILES, memory = false } = {}) {
+  const upload = multer({
+    ...(memory ? { storage: multer.memoryStorage() } : { dest: UPLOAD_DIR }),
+    limits: { fileSize: maxFileSize, files: maxFiles },
+    fileFilter: typeFilter(accept),
+  });
+  const handler = Array.isArray(fields)
+    ? upload.fields(fields)
+    : maxFiles === 1 ? upload.single(fields) : upload.array(fields, maxFiles);
+
+  return (req, res, next) => {
+    res.on("close", () => {
+      if (!req.uploadsRetained) removeFiles(uploadedFiles(req));
+    });
+    handler(req, res, (err) => {
+      if (!err) return next();
+      // multer has already removed whatever it stored for this request.
+      if (err instanceof UploadError) return res.status(err.status).json({ error: err.message });
+      if (err instanceof multer.MulterError) {
+        const [status, error] = limitMessage(err, maxFileSize);
+        return res.status(status).json({ error });
+      }
+      next(err);
+    });
+  };
+}
+
+// Paths still needed by queued or running work.
+async function pathsInUse() {
+  const db = await getDb();
+  const active = (status) => ["queued", "running"].includes(status);
+  const paths = new Set();
+  db.data.jobs.filter((j) => active(j.status)).forEach((j) => {
+    (j.input?.files || []).forEach((f) => paths.add(path.resolve(f.path)));
+    if (j.input?.file) paths.add(path.resolve(j.input.file.path));
+  });
+  db.data.batches.filter((b) => active(b.status)).forEach((b) => b.workDir && paths.add(path.resolve(b.workDir)));
+  return paths;
+}
+
+/** Deletes uploads and page directories older than UPLOAD_MAX_AGE_HOURS that nothing uses. */
+async function sweepUploads({ maxAgeMs = MAX_AGE_MS } = {}) {
+  if (!fs.existsSync(UPLOAD_DIR)) return 0;
+  const inUse = await pathsInUse();
+  const cutoff = Date.now() - maxAgeMs;
+  let removed = 0;
+
+  for (const name of fs.readdirSync(UPLOAD_DIR)) {
+    const entry = path.resolve(UPLOAD_DIR, name);
+    try {
+      if (inUse.has(entry) || fs.statSync(entry).mtimeMs > cutoff) continue;
+      fs.rmSync(entry, { recursive: true, force: true });
+      removed++;
+    } catch (err) {
+      console.warn(`⚠️ Could not sweep ${entry}: ${err.message}`);
+    }
+  }
+  return removed;
+}
+
+async function sweep() {
+  try {
+    const local = await sweepUploads();
+    const remote = await llm.sweepRemoteFiles({ maxAgeMs: MAX_AGE_MS });
+    if (local || remote) console.log(`🧹 Swept ${local} local upload(s) and ${remote} remote file(s)`);
+  } catch (err) {
+    console.error("🔥 Upload sweep failed:", err.message);
+  }
+}
+
+/** Runs the sweeper now and every UPLOAD_SWEEP_MINUTES. */
+function startSweeper() {
+  if (!(SWEEP_MINUTES > 0)) return null;
+  sweep();
+  const timer = setInterval(sweep, SWEEP_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  MAX_FILES,
+  MAX_PAGES,
+  MAX_BATCH_BYTES,
+  UploadError,
+  acceptUploads,
+  uploadedFiles,
+  retainUploads,
+  removeFiles,
+  sweepUploads,
+  startSweeper,
+};
@@ -0,0 +1,100 @@
+// Class analytics over stored grading results: JSON for charts and a printable class
+// summary PDF. Every view takes optional from/to (ISO dates) and subject filters.
+
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const { RosterError } = require("../lib/roster");
+const { getBranding } = require("../lib/branding");
+const { parseDocument } = require("../lib/document");
+const { renderPdf } = require("../lib/export/pdf");
+const {
+  AnalyticsError,
+  normalizeThreshold,
+  classAnalytics,
+  studentAnalytics,
+  classTrends,
+  assignmentDistribution,
+  belowMastery,
+  renderClassSummaryMarkdown,
+} = require("../lib/analytics");
+
+const router = express.Router();
+router.use(requireAuth);
+
+function handleError(res, err, fallback) {
+  if (err instanceof AnalyticsError || err instanceof RosterError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`🔥 ${fallback}`, err);
+  res.status(500).json({ error: fallback });
+}
+
+// GET /analytics/classes/:id?from=&to=&subject=&assignmentId=
+// Class and per-student averages per rubric code and per standard.
+router.get("/classes/:id", async (req, res) => {
+  try {
+    res.json({ success: true, analytics: await classAnalytics(req.teacher.id, req.params.id, req.query) });
+  } catch (err) {
+    handleError(res, err, "Failed to load class analytics.");
+  }
+});
+
+// GET /analytics/classes/:id/trends?interval=week|month
+router.get("/classes/:id/trends", async (req, res) => {
+  try {
+    res.json({ success: true, trends: await classTrends(req.teacher.id, req.params.id, req.query) });
+  } catch (err) {
+    handleError(res, err, "Failed to load class trends.");
+  }
+});
+
+// GET /analytics/classes/:id/mastery?standard=CODE&threshold=0.75
+router.get("/classes/:id/mastery", async (req, res) => {
+  try {
+    const mastery = await belowMastery(req.teacher.id, req.params.id, req.query.standard, req.query);
+    res.json({ success: true, mastery });
+  } catch (err) {
+    handleError(res, err, "Failed to load mastery report.");
+  }
+});
+
+// GET /analytics/classes/:id/summary.pdf?threshold= (threshold marks standards below mastery per student)
+router.get("/classes/:id/summary.pdf", async (req, res) => {
+  try {
+    const threshold = normalizeThreshold(req.query.threshold);
+    const analytics = await classAnalytics(req.teacher.id, req.params.id, req.query);
+    const pdf = await renderPdf(parseDocument(renderClassSummaryMarkdown(analytics, { threshold })), {
+      title: "SmartAsses | Class Summary",
+      template: "classSummary",
+      data: analytics,
+      branding: await getBranding(req.teacher.id),
+    });
+
+    const name = analytics.class.name.replace(/[^\w\- ]/g, "_").trim() || "class";
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${name} summary.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    handleError(res, err, "Failed to build class summary.");
+  }
+});
+
+// GET /analytics/students/:id?interval=week|month
+router.get("/students/:id", async (req, res) => {
+  try {
+    res.json({ success: true, analytics: await studentAnalytics(req.teacher.id, req.params.id, req.query) });
+  } catch (err) {
+    handleError(res, err, "Failed to load student analytics.");
+  }
+});
+
+// GET /analytics/assignments/:id/distribution?bins=10
+router.get("/assignments/:id/distribution", async (req, res) => {
+  try {
+    res.json({ success: true, distribution: await assignmentDistribution(req.teacher.id, req.params.id, req.query) });
+  } catch (err) {
+    handleError(res, err, "Failed to load score distribution.");
+  }
+});
+
+module.exports = router;
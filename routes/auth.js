@@ -0,0 +1,45 @@
+const express = require("express");
+const { AuthError, registerTeacher, login, logout, requireAuth, sessionCookie } = require("../lib/auth");
+
+const router = express.Router();
+
+function handleError(res, err, fallback) {
+  if (err instanceof AuthError) return res.status(err.status).json({ error: err.message });
+  console.error(`🔥 ${fallback}`, err);
+  res.status(500).json({ error: fallback });
+}
+
+router.post("/register", async (req, res) => {
+  try {
+    const teacher = await registerTeacher(req.body || {});
+    res.status(201).json({ success: true, teacher });
+  } catch (err) {
+    handleError(res, err, "Registration failed.");
+  }
+});
+
+router.post("/login", async (req, res) => {
+  try {
+    const { teacher, token, expiresAt } = await login(req.body || {});
+    res.setHeader("Set-Cookie", sessionCookie(token, expiresAt));
+    res.json({ success: true, teacher, token, expiresAt });
+  } catch (err) {
+    handleError(res, err, "Login failed.");
+  }
+});
+
+router.post("/logout", requireAuth, async (req, res) => {
+  try {
+    await logout(req.sessionToken);
+    res.setHeader("Set-Cookie", sessionCookie("", null));
+    res.json({ success: true });
+  } catch (err) {
+    handleError(res, err, "Logout failed.");
+  }
+});
+
+router.get("/me", requireAuth, (req, res) => {
+  res.json({ success: true, teacher: req.teacher });
+});
+
+module.exports = router;
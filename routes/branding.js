@@ -0,0 +1,68 @@
+// School name and logo used on the teacher's PDF reports.
+
+const fs = require("fs");
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const { acceptUploads } = require("../lib/uploads");
+const {
+  BrandingError,
+  getBranding,
+  describeBranding,
+  updateSchoolName,
+  saveLogo,
+  removeLogo,
+} = require("../lib/branding");
+
+const router = express.Router();
+router.use(requireAuth);
+
+const uploadLogo = acceptUploads("logo", { accept: "image", memory: true, maxFiles: 1, maxFileSize: 2 * 1024 * 1024 });
+
+function handleError(res, err, fallback) {
+  if (err instanceof BrandingError) return res.status(err.status).json({ error: err.message });
+  console.error(`🔥 ${fallback}`, err);
+  res.status(500).json({ error: fallback });
+}
+
+router.get("/", async (req, res) => {
+  try {
+    res.json({ success: true, branding: await describeBranding(req.teacher.id) });
+  } catch (err) {
+    handleError(res, err, "Failed to load branding.");
+  }
+});
+
+// PUT /branding { schoolName }
+router.put("/", async (req, res) => {
+  try {
+    res.json({ success: true, branding: await updateSchoolName(req.teacher.id, req.body?.schoolName) });
+  } catch (err) {
+    handleError(res, err, "Failed to update branding.");
+  }
+});
+
+router.get("/logo", async (req, res) => {
+  const { logoPath } = await getBranding(req.teacher.id);
+  if (!logoPath || !fs.existsSync(logoPath)) return res.status(404).json({ error: "No logo configured." });
+  res.sendFile(logoPath);
+});
+
+// POST /branding/logo (multipart field "logo")
+router.post("/logo", uploadLogo, async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "Upload the logo as multipart field 'logo'." });
+  try {
+    res.json({ success: true, branding: await saveLogo(req.teacher.id, req.file.buffer) });
+  } catch (err) {
+    handleError(res, err, "Failed to save logo.");
+  }
+});
+
+router.delete("/logo", async (req, res) => {
+  try {
+    res.json({ success: true, branding: await removeLogo(req.teacher.id) });
+  } catch (err) {
+    handleError(res, err, "Failed to remove logo.");
+  }
+});
+
+module.exports = router;
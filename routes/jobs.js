@@ -0,0 +1,63 @@
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const { openEventStream } = require("../lib/sse");
+const { FINISHED, JobError, getJob, listJobs, cancelJob, subscribe, publicJob } = require("../lib/jobQueue");
+
+const router = express.Router();
+router.use(requireAuth);
+
+function handleError(res, err, fallback) {
+  if (err instanceof JobError) return res.status(err.status).json({ error: err.message });
+  console.error(`🔥 ${fallback}`, err);
+  res.status(500).json({ error: fallback });
+}
+
+// GET /jobs?status=&type=
+router.get("/", async (req, res) => {
+  try {
+    const jobs = await listJobs(req.teacher.id, req.query);
+    res.json({ success: true, count: jobs.length, jobs: jobs.map(({ result, ...j }) => publicJob(j)) });
+  } catch (err) {
+    handleError(res, err, "Failed to list jobs.");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const job = await getJob(req.teacher.id, req.params.id);
+    if (!job) return res.status(404).json({ error: "Job not found." });
+    res.json({ success: true, job: publicJob(job) });
+  } catch (err) {
+    handleError(res, err, "Failed to load job.");
+  }
+});
+
+// Server-Sent Events: one `job` event per state or progress change, then the stream closes.
+router.get("/:id/events", async (req, res) => {
+  const job = await getJob(req.teacher.id, req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found." });
+
+  const events = openEventStream(req, res);
+  events.send("job", publicJob(job));
+  if (FINISHED.includes(job.status)) return events.close();
+
+  const unsubscribe = subscribe(job.id, (update) => {
+    events.send("job", update);
+    if (FINISHED.includes(update.status)) {
+      unsubscribe();
+      events.close();
+    }
+  });
+  events.signal.addEventListener("abort", unsubscribe);
+});
+
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const job = await cancelJob(req.teacher.id, req.params.id);
+    res.json({ success: true, job: publicJob(job) });
+  } catch (err) {
+    handleError(res, err, "Failed to cancel job.");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// CRUD for /classes, /students and /assignments, plus per-student and
+// per-assignment report listings.
+
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const { listSubmissions } = require("../lib/submissions");
+const {
+  RosterError,
+  listRecords,
+  getRecord,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+} = require("../lib/roster");
+
+const router = express.Router();
+
+function handleError(res, err, fallback) {
+  if (err instanceof RosterError) return res.status(err.status).json({ error: err.message });
+  console.error(`🔥 ${fallback}`, err);
+  res.status(500).json({ error: fallback });
+}
+
+function mountCrud(collection, singular, listFilters = []) {
+  const base = `/${collection}`;
+
+  router.get(base, requireAuth, async (req, res) => {
+    try {
+      const filters = Object.fromEntries(listFilters.map((key) => [key, req.query[key]]));
+      const items = await listRecords(req.teacher.id, collection, filters);
+      res.json({ success: true, count: items.length, [collection]: items });
+    } catch (err) {
+      handleError(res, err, `Failed to list ${collection}.`);
+    }
+  });
+
+  router.get(`${base}/:id`, requireAuth, async (req, res) => {
+    try {
+      res.json({ success: true, [singular]: await getRecord(req.teacher.id, collection, req.params.id) });
+    } catch (err) {
+      handleError(res, err, `Failed to load ${singular}.`);
+    }
+  });
+
+  router.post(base, requireAuth, async (req, res) => {
+    try {
+      const record = await createRecord(req.teacher.id, collection, req.body);
+      res.status(201).json({ success: true, [singular]: record });
+    } catch (err) {
+      handleError(res, err, `Failed to create ${singular}.`);
+    }
+  });
+
+  router.put(`${base}/:id`, requireAuth, async (req, res) => {
+    try {
+      const record = await updateRecord(req.teacher.id, collection, req.params.id, req.body);
+      res.json({ success: true, [singular]: record });
+    } catch (err) {
+      handleError(res, err, `Failed to update ${singular}.`);
+    }
+  });
+
+  router.delete(`${base}/:id`, requireAuth, async (req, res) => {
+    try {
+      await deleteRecord(req.teacher.id, collection, req.params.id);
+      res.json({ success: true });
+    } catch (err) {
+      handleError(res, err, `Failed to delete ${singular}.`);
+    }
+  });
+}
+
+mountCrud("classes", "class");
+mountCrud("students", "student", ["classId"]);
+mountCrud("assignments", "assignment", ["classId"]);
+
+// Every stored report for one student or one assignment.
+for (const [collection, key] of [["students", "studentId"], ["assignments", "assignmentId"]]) {
+  router.get(`/${collection}/:id/submissions`, requireAuth, async (req, res) => {
+    try {
+      await getRecord(req.teacher.id, collection, req.params.id);
+      const submissions = await listSubmissions(req.teacher.id, { [key]: req.params.id });
+      const items = submissions.map(({ result, aiResult, reviews, ...summary }) => summary);
+      res.json({ success: true, count: items.length, submissions: items });
+    } catch (err) {
+      handleError(res, err, "Failed to list submissions.");
+    }
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,77 @@
+// Rubric library: built-in rubrics plus each teacher's custom rubrics.
+
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const { acceptUploads } = require("../lib/uploads");
+const {
+  RubricError,
+  listRubrics,
+  getRubric,
+  createCustomRubric,
+  deleteCustomRubric,
+} = require("../lib/rubrics");
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Custom rubrics can also be uploaded as a .json file (multipart field "file").
+const uploadRubric = acceptUploads("file", { accept: "json", memory: true, maxFiles: 1, maxFileSize: 256 * 1024 });
+
+function handleError(res, err, fallback) {
+  if (err instanceof RubricError) {
+    return res.status(err.status).json({ error: err.message, ...(err.errors.length && { details: err.errors }) });
+  }
+  console.error(`🔥 ${fallback}`, err);
+  res.status(500).json({ error: fallback });
+}
+
+// GET /rubrics?subject=&grade=
+router.get("/", async (req, res) => {
+  try {
+    const rubrics = await listRubrics(req.teacher.id, req.query);
+    // The list view omits level descriptors; fetch a single rubric for those.
+    const items = rubrics.map(({ criteria, ...summary }) => ({
+      ...summary,
+      criteria: criteria.map(({ code, name, category }) => ({ code, name, category })),
+    }));
+    res.json({ success: true, count: items.length, rubrics: items });
+  } catch (err) {
+    handleError(res, err, "Failed to list rubrics.");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    res.json({ success: true, rubric: await getRubric(req.teacher.id, req.params.id) });
+  } catch (err) {
+    handleError(res, err, "Failed to load rubric.");
+  }
+});
+
+router.post("/", uploadRubric, async (req, res) => {
+  let data = req.body;
+  if (req.file) {
+    try {
+      data = JSON.parse(req.file.buffer.toString("utf8"));
+    } catch (err) {
+      return res.status(400).json({ error: `Rubric file is not valid JSON: ${err.message}` });
+    }
+  }
+
+  try {
+    res.status(201).json({ success: true, rubric: await createCustomRubric(req.teacher.id, data) });
+  } catch (err) {
+    handleError(res, err, "Failed to create rubric.");
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    await deleteCustomRubric(req.teacher.id, req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    handleError(res, err, "Failed to delete rubric.");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// Read-only access to the standards catalog, so teachers can pick specific standards.
+
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const { getStandards, getStandard } = require("../lib/standards");
+
+const router = express.Router();
+router.use(requireAuth);
+
+// GET /standards?subject=&grade=
+router.get("/", (req, res) => {
+  const { subject, grade } = req.query;
+  if ([subject, grade].some((v) => v !== undefined && typeof v !== "string")) {
+    return res.status(400).json({ error: "'subject' and 'grade' must each be given once." });
+  }
+  if (grade !== undefined && !/^\d{1,2}$/.test(grade)) {
+    return res.status(400).json({ error: "'grade' must be a grade number." });
+  }
+
+  const standards = getStandards({ subject, grade });
+  res.json({ success: true, count: standards.length, standards });
+});
+
+router.get("/:code", (req, res) => {
+  const standard = getStandard(req.params.code);
+  if (!standard) return res.status(404).json({ error: "Standard not found." });
+  res.json({ success: true, standard });
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require("express");
+const { listSubmissions, getSubmission, deleteSubmission } = require("../lib/submissions");
+const { requireAuth } = require("../lib/auth");
+const {
+  ReviewError,
+  reviewGrading,
+  getReview,
+  listOverrides,
+  summarizeOverrides,
+  overridesCsv,
+} = require("../lib/review");
+
+const router = express.Router();
+router.use(requireAuth);
+
+function isValidDate(value) {
+  return !value || !isNaN(new Date(value).getTime());
+}
+
+// GET /submissions?grade=&subject=&type=&studentId=&assignmentId=&classId=&from=&to=
+router.get("/", async (req, res) => {
+  const { grade, subject, type, studentId, assignmentId, classId, from, to } = req.query;
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return res.status(400).json({ error: "'from' and 'to' must be valid dates." });
+  }
+
+  try {
+    const submissions = await listSubmissions(req.teacher.id, {
+      grade,
+      subject,
+      type,
+      studentId,
+      assignmentId,
+      classId,
+      from,
+      to,
+    });
+    // The list view omits the full AI result and review trail; fetch a single submission for those.
+    const items = submissions.map(({ result, aiResult, reviews, ...summary }) => summary);
+    res.json({ success: true, count: items.length, submissions: items });
+  } catch (err) {
+    console.error("🔥 Error listing submissions:", err);
+    res.status(500).json({ error: "Failed to list submissions." });
+  }
+});
+
+function handleReviewError(res, err, fallback) {
+  if (err instanceof ReviewError) {
+    return res.status(err.status).json({ error: err.message, ...(err.errors.length ? { details: err.errors } : {}) });
+  }
+  console.error(`🔥 ${fallback}`, err);
+  res.status(500).json({ error: fallback });
+}
+
+// GET /submissions/overrides?format=json|csv&rubricId=&grade=&subject=&studentId=&assignmentId=&classId=&from=&to=
+// AI vs teacher score for every component of every reviewed grading, with per-component
+// override rates in the JSON summary.
+router.get("/overrides", async (req, res) => {
+  const { format = "json", rubricId, grade, subject, studentId, assignmentId, classId, from, to } = req.query;
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return res.status(400).json({ error: "'from' and 'to' must be valid dates." });
+  }
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({ error: "'format' must be json or csv." });
+  }
+
+  try {
+    const rows = await listOverrides(req.teacher.id, { rubricId, grade, subject, studentId, assignmentId, classId, from, to });
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="overrides-${Date.now()}.csv"`);
+      return res.send(overridesCsv(rows));
+    }
+    res.json({ success: true, count: rows.length, summary: summarizeOverrides(rows), overrides: rows });
+  } catch (err) {
+    handleReviewError(res, err, "Failed to export overrides.");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const submission = await getSubmission(req.teacher.id, req.params.id);
+    if (!submission) return res.status(404).json({ error: "Submission not found." });
+    res.json({ success: true, submission });
+  } catch (err) {
+    console.error("🔥 Error loading submission:", err);
+    res.status(500).json({ error: "Failed to load submission." });
+  }
+});
+
+// The AI's original result, the current (reviewed) result and the audit trail.
+router.get("/:id/review", async (req, res) => {
+  try {
+    res.json({ success: true, review: await getReview(req.teacher.id, req.params.id) });
+  } catch (err) {
+    handleReviewError(res, err, "Failed to load review.");
+  }
+});
+
+// PUT /submissions/:id/review { overallScore, feedbackToStudent, feedbackToTeacher,
+//   components: [{ code, score, explanation, evidence, suggestions }], note }
+// Every field is optional; the report is regenerated and marked teacher-reviewed.
+router.put("/:id/review", async (req, res) => {
+  try {
+    const record = await reviewGrading(req.teacher.id, req.params.id, req.body);
+    const { changes } = record.reviews[record.reviews.length - 1];
+    console.log(`✏️ Submission ${record.id} reviewed (${changes.length} change(s))`);
+    res.json({ success: true, submissionId: record.id, result: record.result, changes, pdfUrl: record.pdfUrl });
+  } catch (err) {
+    handleReviewError(res, err, "Failed to review submission.");
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const deleted = await deleteSubmission(req.teacher.id, req.params.id);
+    if (!deleted) return res.status(404).json({ error: "Submission not found." });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("🔥 Error deleting submission:", err);
+    res.status(500).json({ error: "Failed to delete submission." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// Handwriting transcripts: upload pages, review the per-page reading, correct it,
+// then grade the corrected text with POST /grade { transcriptId }.
+
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const {
+  TranscriptionError,
+  transcribeUpload,
+  getTranscript,
+  correctTranscript,
+  describeTranscript,
+} = require("../lib/transcription");
+const { PageError } = require("../lib/pages");
+const { acceptUploads } = require("../lib/uploads");
+
+const router = express.Router();
+router.use(requireAuth);
+
+function handleError(res, err, fallback) {
+  if (err instanceof PageError) return res.status(err.status).json({ error: err.message });
+  if (err instanceof TranscriptionError) {
+    return res.status(err.status).json({ error: err.message, ...(err.errors.length ? { details: err.errors } : {}) });
+  }
+  console.error(`🔥 ${fallback}`, err);
+  res.status(500).json({ error: fallback });
+}
+
+// POST /transcribe (multipart field "file": a PDF, an image, or one field per photo;
+// optional "pageOrder": auto | name | upload). The uploads are deleted once answered.
+router.post("/", acceptUploads("file"), async (req, res) => {
+  if (!req.files?.length) return res.status(400).json({ error: "Upload the handwritten work as multipart field 'file'." });
+
+  try {
+    const transcript = await transcribeUpload(req.teacher.id, req.files, { order: req.body?.pageOrder });
+    console.log(`📝 Transcribed ${transcript.pages.length} page(s) of ${transcript.fileName}`);
+    res.status(201).json({ success: true, transcript: describeTranscript(transcript) });
+  } catch (err) {
+    handleError(res, err, "Transcription failed.");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    res.json({ success: true, transcript: describeTranscript(await getTranscript(req.teacher.id, req.params.id)) });
+  } catch (err) {
+    handleError(res, err, "Failed to load transcript.");
+  }
+});
+
+// PUT /transcribe/:id { pages: [{ page, text }] }
+router.put("/:id", async (req, res) => {
+  try {
+    const transcript = await correctTranscript(req.teacher.id, req.params.id, req.body?.pages);
+    res.json({ success: true, transcript: describeTranscript(transcript) });
+  } catch (err) {
+    handleError(res, err, "Failed to update transcript.");
+  }
+});
+
+module.exports = router;
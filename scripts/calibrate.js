@@ -0,0 +1,57 @@
+// Grades the calibration anchor papers under each intensity profile and reports
+// whether every score stays in its band (see lib/calibration).
+//
+//   npm run calibrate                     real model (LLM_PROVIDER / LLM_MODEL_GRADE)
+//   npm run calibrate:mock                offline, with the calibration/mock fixtures
+//   node scripts/calibrate.js --profile rigorous --anchor uniforms-minimal --json
+//
+// Exits with status 1 when a score falls outside its band or the profiles are out of order.
+
+require("dotenv").config();
+const { MOCK_FIXTURES_DIR, runCalibration } = require("../lib/calibration");
+
+function parseArgs(argv) {
+  const args = { anchorIds: [], profileIds: [], json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--anchor") args.anchorIds.push(argv[++i]);
+    else if (argv[i] === "--profile") args.profileIds.push(argv[++i]);
+    else if (argv[i] === "--json") args.json = true;
+    else throw new Error(`Unknown argument "${argv[i]}".`);
+  }
+  return args;
+}
+
+function describe(r) {
+  const band = `${r.expected[0]}–${r.expected[1]}`;
+  if (r.error) return `❌ ${r.anchor.padEnd(24)} ${r.profile.padEnd(9)} error: ${r.error}`;
+  return `${r.passed ? "✅" : "❌"} ${r.anchor.padEnd(24)} ${r.profile.padEnd(9)} ${String(r.score).padStart(5)}  expected ${band}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (process.env.LLM_PROVIDER === "mock" && !process.env.LLM_MOCK_FIXTURES_DIR) {
+    process.env.LLM_MOCK_FIXTURES_DIR = MOCK_FIXTURES_DIR;
+  }
+
+  const report = await runCalibration({
+    anchorIds: args.anchorIds,
+    profileIds: args.profileIds,
+    onResult: args.json ? null : (r) => console.log(describe(r)),
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    report.orderingErrors.forEach((e) => console.log(`❌ ${e}`));
+    const failed = report.results.filter((r) => !r.passed).length;
+    console.log(report.passed
+      ? `🎯 Calibration passed: ${report.results.length} gradings in band.`
+      : `🔥 Calibration failed: ${failed} of ${report.results.length} gradings out of band, ${report.orderingErrors.length} ordering error(s).`);
+  }
+  process.exitCode = report.passed ? 0 : 1;
+}
+
+main().catch((err) => {
+  console.error("🔥", err.message);
+  process.exitCode = 1;
+});
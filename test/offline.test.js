@@ -0,0 +1,153 @@
+// Offline end-to-end checks against the mock LLM provider (lib/llm/mock): grading,
+// calibration and document exports. The server runs on a free port with its own
+// database and upload directory; reports it writes to pdfs/ are removed afterwards.
+//
+//   npm test
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn, spawnSync } = require("node:child_process");
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const PDF_DIR = path.join(ROOT, "pdfs");
+
+let server;
+let baseUrl;
+let token;
+let workDir;
+const reports = [];
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject).listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function startServer(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["index.js"], { cwd: ROOT, env, stdio: ["ignore", "pipe", "pipe"] });
+    let output = "";
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 30000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Server is running")) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+async function api(method, url, body) {
+  const res = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token && { Authorization: `Bearer ${token}` }) },
+    body: body && JSON.stringify(body),
+  });
+  const json = await res.json();
+  assert.ok(res.ok, `${method} ${url} → ${res.status}: ${JSON.stringify(json)}`);
+  if (json.pdfUrl) reports.push(json.pdfUrl);
+  return json;
+}
+
+async function download(url) {
+  const res = await fetch(`${baseUrl}${url}`, { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(res.status, 200, `GET ${url} → ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "smartasses-test-"));
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = await startServer({
+    ...process.env,
+    PORT: String(port),
+    LLM_PROVIDER: "mock",
+    DB_FILE: path.join(workDir, "db.json"),
+    UPLOAD_DIR: path.join(workDir, "uploads"),
+    TEACHER_SIGNUP_CODE: "",
+  });
+
+  const credentials = { email: "teacher@example.com", password: "offline-test-password" };
+  await api("POST", "/auth/register", credentials);
+  ({ token } = await api("POST", "/auth/login", credentials));
+});
+
+after(() => {
+  server?.removeAllListeners("exit");
+  server?.kill();
+  for (const url of reports) fs.rmSync(path.join(PDF_DIR, decodeURIComponent(path.basename(url))), { force: true });
+  if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("grades a text submission and serves its report", async () => {
+  const { result, pdfUrl } = await api("POST", "/grade", {
+    submission: "Poems use imagery to show feelings. In the poem, the storm shows the speaker's anger.",
+    subject: "ELA",
+    gradeLevel: "8",
+  });
+  assert.ok(result.components.length > 0);
+  assert.equal(result.rubric.id, "ela-6-12");
+  assert.ok(Number.isFinite(result.overallScore));
+  assert.equal((await download(pdfUrl)).subarray(0, 5).toString("latin1"), "%PDF-");
+});
+
+test("detects the subject of a submission sent without one", async () => {
+  const { result } = await api("POST", "/grade", {
+    submission: "The treaty that ended the war redrew the borders of the empire for the next century.",
+    gradeLevel: "8",
+  });
+  assert.equal(result.rubric.id, "social-studies-6-8");
+});
+
+test("streams a grading in consistency mode", async () => {
+  const res = await fetch(`${baseUrl}/grade/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ submission: "Poems use imagery to show feelings.", subject: "ELA", gradeLevel: "8", consistency: 3 }),
+  });
+  const events = (await res.text()).trim().split("\n\n").map((block) => {
+    const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/);
+    return { event, data: JSON.parse(data) };
+  });
+  const done = events.find((e) => e.event === "done")?.data;
+  assert.ok(done, JSON.stringify(events.filter((e) => e.event !== "token")));
+  reports.push(done.pdfUrl);
+  assert.deepEqual(events.filter((e) => e.event === "sample").map((e) => e.data.sample), [1, 2, 3]);
+  assert.equal(done.result.consistency.samples, 3);
+  assert.ok(done.result.components.every((c) => c.confidence));
+});
+
+test("exports a lesson plan in every format", async () => {
+  const signatures = { pdf: "%PDF-", docx: "PK\x03\x04", markdown: "", html: "<!DOCTYPE html" };
+  for (const [format, signature] of Object.entries(signatures)) {
+    const { pdfUrl } = await api("POST", "/lessonplan", { class: "ELA", grade: "8", unit: "Poetry", format });
+    const file = await download(pdfUrl);
+    assert.ok(file.length > 0, `${format} export is empty`);
+    assert.ok(file.toString("latin1").startsWith(signature), `${format} export starts with ${JSON.stringify(file.subarray(0, 16).toString("latin1"))}`);
+  }
+});
+
+test("calibration anchors stay in their bands", () => {
+  const run = spawnSync(process.execPath, ["scripts/calibrate.js"], {
+    cwd: ROOT,
+    env: { ...process.env, LLM_PROVIDER: "mock" },
+    encoding: "utf8",
+    timeout: 120000,
+  });
+  assert.equal(run.status, 0, run.stdout + run.stderr);
+});